@@ -1,16 +1,56 @@
 #!/usr/bin/env node
 import readline from 'readline';
+import fs from 'fs';
+import path from 'path';
 import axios from 'axios';
 import { io } from 'socket.io-client';
 import chalk from 'chalk';
 import { v4 as uuidv4 } from 'uuid';
 
 const SERVER_URL = process.env.CHAT_SERVER_URL || 'http://localhost:3000';
+const HEARTBEAT_INTERVAL = 15000;
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+// Joining with the orchestrator role requires the hub's admin key.
+// On the hub's own machine it can be read from the file the hub generated.
+function loadAdminKey() {
+  if (process.env.HUB_ADMIN_KEY) return process.env.HUB_ADMIN_KEY;
+  try {
+    return fs.readFileSync(path.join(DATA_DIR, 'admin.key'), 'utf-8').trim();
+  } catch {
+    return null;
+  }
+}
+
+const ADMIN_KEY = loadAdminKey();
+
+// The admin key is only sent to join and, outside a room, for the hub-wide
+// overviews. Everything else goes out under the orchestrator's own token, so
+// it sees and edits no more than its agent may (e.g. not other agents' DMs).
+function adminHeaders() {
+  return ADMIN_KEY ? { 'X-Admin-Key': ADMIN_KEY } : {};
+}
+
+// Show the hub's error message (e.g. a missing permission) rather than the bare status code
+axios.interceptors.response.use(null, (error) => {
+  if (error.response?.data?.error) {
+    error.message = error.response.data.error;
+  }
+  return Promise.reject(error);
+});
 
 class OrchestratorCLI {
   constructor() {
     this.socket = null;
+    this.heartbeatTimer = null;
+    this.token = null;
+    this.tokenRefreshTimer = null;
     this.currentRoom = null;
+    this.recentMessages = new Map(); // id -> message, for reply previews and #id lookups
+    this.lastBroadcastId = null;
+    this.historyCursor = null; // where /history older continues from
+    this.knownTasks = new Map(); // id -> task, for #id lookups in /task
+    this.knownWorkflows = new Map(); // id -> workflow, for #id lookups in /workflow
     this.agentId = `orchestrator-${uuidv4()}`;
     this.agentName = 'Orchestrator';
     this.isOrchestrator = true;
@@ -25,6 +65,9 @@ class OrchestratorCLI {
     console.log(chalk.green(`\n🎭 Symphony of One MCP Orchestrator`));
     console.log(chalk.gray(`   Hub Server: ${SERVER_URL}`));
     console.log(chalk.yellow(`   Role: User/Orchestrator\n`));
+    if (!ADMIN_KEY) {
+      console.log(chalk.red('   No admin key found: set HUB_ADMIN_KEY to join rooms as the orchestrator\n'));
+    }
     
     await this.setupHandlers();
     await this.showStats();
@@ -48,6 +91,7 @@ class OrchestratorCLI {
     });
 
     this.rl.on('close', () => {
+      clearInterval(this.heartbeatTimer);
       if (this.socket) this.socket.disconnect();
       console.log(chalk.gray('\nGoodbye!'));
       process.exit(0);
@@ -83,15 +127,49 @@ class OrchestratorCLI {
         await this.listAgents();
         break;
         
+      case '/roles':
+        await this.handleRolesCommand(args);
+        break;
+        
+      case '/reply':
+        await this.replyToMessage(args);
+        break;
+        
+      case '/thread':
+        await this.showThread(args[0]);
+        break;
+        
+      case '/edit':
+      case '/delete':
+      case '/redact':
+        await this.reviseMessage(command.slice(1), args);
+        break;
+        
+      case '/revisions':
+        await this.showRevisions(args[0]);
+        break;
+        
+      case '/react':
+        await this.react(args);
+        break;
+        
+      case '/acks':
+        await this.showAcks(args[0]);
+        break;
+        
       case '/history':
       case '/hist':
-        await this.showHistory(args[0]);
+        await this.showHistory(args);
         break;
         
       case '/task':
         await this.handleTaskCommand(args);
         break;
         
+      case '/workflow':
+        await this.handleWorkflowCommand(args);
+        break;
+        
       case '/broadcast':
       case '/bc':
         await this.broadcast(args.join(' '));
@@ -115,6 +193,10 @@ class OrchestratorCLI {
         await this.tagAgent(args);
         break;
         
+      case '/dm':
+        await this.directMessage(args);
+        break;
+        
       case '/logs':
         await this.viewLogs(args[0]);
         break;
@@ -156,19 +238,38 @@ class OrchestratorCLI {
     console.log('  /leave              - Leave current room');
     console.log('  /rooms              - List all rooms');
     console.log('  /agents             - List agents in current room');
+    console.log('  /roles              - Show room roles & permissions');
+    console.log('  /roles set <role> <perm,...> - Set the permissions of a role');
     console.log('  /history [n]        - Show last n messages');
+    console.log('  /history older [n]  - Page back through earlier messages');
+    console.log('  /reply <#id> <msg>  - Reply to a message in its thread');
+    console.log('  /thread <#id>       - Show the thread a message belongs to');
+    console.log('  /edit <#id> <msg>   - Edit one of your messages');
+    console.log('  /delete <#id>       - Delete a message');
+    console.log('  /redact <#id>       - Redact a message and its history (e.g. leaked secrets)');
+    console.log('  /revisions <#id>    - Show a message\'s audit trail');
+    console.log('  /react <#id> [r]    - React to a message (default: ack)');
     
     console.log(chalk.cyan('\nAgent Orchestration:'));
     console.log('  /broadcast <msg>    - Send message to all agents in room');
-    console.log('  /assign <task>      - Assign task to specific agent');
+    console.log('  /acks [#id]         - See who acknowledged the last broadcast (or a message)');
+    console.log('  /assign <agent> <task> - Assign task to specific agent');
+    console.log('  /assign auto [skills=a,b] <task> - Let the hub pick the best agent');
+    console.log('  /workflow run <file> - Start a workflow from a JSON or YAML file');
+    console.log('  /workflow status [#id] - Show workflows, or one workflow\'s stages');
+    console.log('  /workflow cancel <#id> - Cancel a running workflow');
     console.log('  /tag <agent> <msg>  - Send tagged message to specific agent');
+    console.log('  /dm <agent> <msg>   - Send a private message to one agent');
     console.log('  /monitor [room]     - Monitor room activity');
     console.log('  /stats              - Show system statistics');
     
     console.log(chalk.cyan('\nTask Management:'));
     console.log('  /task create        - Create a new task');
-    console.log('  /task list          - List room tasks');
-    console.log('  /task update <id>   - Update task status');
+    console.log('  /task list [k=v]    - List room tasks with progress (status=, assignee=, priority=, sort=, order=)');
+    console.log('  /task update <#id> k=v - Update task fields (status=, priority=, assignee=, title=, dependsOn=, progress=)');
+    console.log('  /task delete <#id>  - Delete a task');
+    console.log('  /task tree          - Show task dependencies');
+    console.log('  /task history <#id> - Show who changed a task and when');
     
     console.log(chalk.cyan('\nMemory & Notifications:'));
     console.log('  /memory list        - View system memory logs');
@@ -194,12 +295,12 @@ class OrchestratorCLI {
         agentName: this.agentName,
         capabilities: { 
           role: 'orchestrator', 
-          type: 'human',
-          permissions: ['broadcast', 'assign_tasks', 'monitor'] 
+          type: 'human'
         }
-      });
+      }, { headers: adminHeaders() });
 
       if (response.data.success) {
+        this.setToken(response.data.token, response.data.tokenExpiresIn);
         this.currentRoom = roomName;
         this.connectSocket();
         
@@ -214,6 +315,37 @@ class OrchestratorCLI {
     }
   }
 
+  // The socket needs a live token to register again after a reconnect,
+  // so it is renewed halfway through its lifetime
+  setToken(token, expiresIn) {
+    clearTimeout(this.tokenRefreshTimer);
+    this.token = token;
+    if (token) {
+      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      if (expiresIn) {
+        this.tokenRefreshTimer = setTimeout(() => this.refreshToken(), Math.min(expiresIn * 500, 2 ** 31 - 1));
+      }
+    } else {
+      delete axios.defaults.headers.common['Authorization'];
+    }
+  }
+
+  // Hub overviews are open to the admin outside a room, and to the
+  // orchestrator's token once it has joined one
+  overviewConfig() {
+    return this.token ? {} : { headers: adminHeaders() };
+  }
+
+  async refreshToken() {
+    try {
+      const response = await axios.post(`${SERVER_URL}/api/token`, { agentId: this.agentId });
+      this.setToken(response.data.token, response.data.tokenExpiresIn);
+    } catch (error) {
+      console.log(chalk.red(`\nFailed to refresh token: ${error.message}`));
+      this.rl.prompt();
+    }
+  }
+
   async leaveRoom() {
     if (!this.currentRoom) {
       console.log(chalk.yellow('Not in a room'));
@@ -223,12 +355,14 @@ class OrchestratorCLI {
     try {
       await axios.post(`${SERVER_URL}/api/leave/${this.agentId}`);
       
+      clearInterval(this.heartbeatTimer);
       if (this.socket) {
         this.socket.disconnect();
         this.socket = null;
       }
       
       console.log(chalk.gray(`Left room: ${this.currentRoom}`));
+      this.setToken(null);
       this.currentRoom = null;
       this.rl.setPrompt(chalk.cyan('🎭 > '));
     } catch (error) {
@@ -241,13 +375,24 @@ class OrchestratorCLI {
     
     this.socket = io(SERVER_URL);
     
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = setInterval(() => {
+      if (this.socket?.connected) this.socket.emit('heartbeat');
+    }, HEARTBEAT_INTERVAL);
+    
     this.socket.on('connect', () => {
       this.socket.emit('register', { 
         agentId: this.agentId, 
-        room: this.currentRoom 
+        room: this.currentRoom,
+        token: this.token
       });
     });
     
+    this.socket.on('registration_failed', () => {
+      console.log(chalk.red(`\nThe hub no longer knows this session. Use /join ${this.currentRoom} to rejoin.`));
+      this.rl.prompt();
+    });
+    
     this.socket.on('message', (message) => {
       // Don't show our own messages again
       if (message.agentId !== this.agentId) {
@@ -255,34 +400,294 @@ class OrchestratorCLI {
       }
     });
     
+    this.socket.on('presence', (data) => {
+      if (data.agentId === this.agentId) return;
+      const statusMessage = data.statusMessage ? ` - ${data.statusMessage}` : '';
+      console.log(chalk.gray(`\n[Presence] ${data.agentName} is now ${data.status}${statusMessage}`));
+      this.rl.prompt();
+    });
+    
+    this.socket.on('message_updated', ({ action, message }) => {
+      this.rememberMessage(message);
+      const label = action === 'redacted' ? 'Redacted' : 'Edited';
+      console.log(chalk.gray(`\n[${label}] ${message.agentName}: ${message.content} #${message.id.slice(0, 8)}`));
+      this.rl.prompt();
+    });
+    
+    this.socket.on('message_deleted', ({ messageId, deletedBy }) => {
+      this.recentMessages.delete(messageId);
+      console.log(chalk.gray(`\n[Deleted] #${messageId.slice(0, 8)} by ${deletedBy}`));
+      this.rl.prompt();
+    });
+    
+    this.socket.on('reaction', ({ messageId, agentName, reaction, action }) => {
+      if (action !== 'added') return;
+      const label = reaction === 'ack' ? 'acknowledged' : `reacted ${reaction} to`;
+      console.log(chalk.gray(`\n[${reaction === 'ack' ? 'Ack' : 'Reaction'}] ${agentName} ${label} #${messageId.slice(0, 8)}`));
+      this.rl.prompt();
+    });
+    
+    this.socket.on('room_settings', () => {
+      console.log(chalk.gray('\n[Room] Roles & permissions updated, see /roles'));
+      this.rl.prompt();
+    });
+    
+    this.socket.on('permission_denied', ({ error }) => {
+      console.log(chalk.red(`\n${error}`));
+      this.rl.prompt();
+    });
+    
+    this.socket.on('workflow', ({ type, workflow, stage }) => {
+      const detail = stage ? `: ${stage}` : '';
+      console.log(chalk.magenta(`\n[Workflow ${type.replace('_', ' ')}] ${workflow.name}${detail}`));
+      this.rl.prompt();
+    });
+    
+    this.socket.on('room_memory', ({ action, entry, deletedBy }) => {
+      const who = action === 'stored' ? entry.updatedByName : deletedBy;
+      console.log(chalk.magenta(`\n[Room memory ${action}] ${entry.namespace}/${entry.key} by ${who}`));
+      this.rl.prompt();
+    });
+    
     this.socket.on('task', (data) => {
-      console.log(chalk.magenta(`\n[Task ${data.type}] ${data.task.title}`));
+      if (data.type === 'comment_added') {
+        console.log(chalk.magenta(`\n[Task comment] ${data.task.title} - ${data.comment.author}: ${data.comment.content}`));
+      } else if (data.type === 'progress') {
+        console.log(chalk.magenta(`\n[Task progress] ${data.task.title} ${this.progressBar(data.task.progress)}`));
+      } else if (data.reason === 'dependencies') {
+        const change = data.task.status === 'blocked' ? 'blocked' : 'unblocked';
+        console.log(chalk.magenta(`\n[Task ${change}] ${data.task.title}`));
+      } else {
+        console.log(chalk.magenta(`\n[Task ${data.type}] ${data.task?.title || ''}`));
+      }
       this.rl.prompt();
     });
   }
 
   displayMessage(message) {
     const time = new Date(message.timestamp).toLocaleTimeString();
+    const flags = message.deletedAt ? ' (deleted)' : message.redactedAt ? ' (redacted)' : message.editedAt ? ' (edited)' : '';
+    const shortId = chalk.gray(`#${message.id?.slice(0, 8)}${flags}`);
+    this.rememberMessage(message);
     
     if (message.type === 'system') {
       console.log(chalk.gray(`\n[${time}] ${message.content}`));
+    } else if (message.type === 'direct') {
+      const route = message.agentId === this.agentId ? `to ${message.recipientName}` : `from ${message.agentName}`;
+      console.log(chalk.blue(`\n[${time}] [DM ${route}] ${message.content}`) + ` ${shortId}`);
     } else {
       const name = chalk.bold(message.agentName);
-      console.log(`\n[${time}] ${name}: ${message.content}`);
+      console.log(`\n[${time}] ${name}: ${message.content} ${shortId}`);
+    }
+    
+    const reactions = Object.entries(message.reactions || {});
+    if (reactions.length > 0) {
+      console.log(chalk.gray(`  ${reactions.map(([reaction, { count }]) => `${reaction} ×${count}`).join('  ')}`));
+    }
+    
+    if (message.replyTo) {
+      const parent = this.recentMessages.get(message.replyTo);
+      const target = parent
+        ? `${parent.agentName}: "${parent.content.slice(0, 40)}${parent.content.length > 40 ? '…' : ''}"`
+        : `#${message.replyTo.slice(0, 8)}`;
+      console.log(chalk.gray(`  ↳ in reply to ${target}`));
     }
     
     this.rl.prompt();
   }
 
-  async sendMessage(content) {
+  rememberMessage(message) {
+    if (!message.id) return;
+    this.recentMessages.set(message.id, message);
+    if (this.recentMessages.size > 500) {
+      this.recentMessages.delete(this.recentMessages.keys().next().value);
+    }
+  }
+
+  // Expand a #short id shown in the chat to the full message ID
+  resolveMessageId(ref) {
+    const prefix = ref.replace(/^#/, '');
+    for (const id of this.recentMessages.keys()) {
+      if (id.startsWith(prefix)) return id;
+    }
+    return prefix;
+  }
+
+  async replyToMessage(args) {
+    if (!this.currentRoom) {
+      console.log(chalk.yellow('Not in a room'));
+      return;
+    }
+
+    const [ref, ...words] = args;
+    const content = words.join(' ');
+
+    if (!ref || !content) {
+      console.log(chalk.red('Usage: /reply <#id> <message>'));
+      return;
+    }
+
+    await this.sendMessage(content, this.resolveMessageId(ref));
+  }
+
+  // /edit, /delete and /redact share the same shape: <#id> [text]
+  async reviseMessage(action, args) {
+    if (!this.currentRoom) {
+      console.log(chalk.yellow('Not in a room'));
+      return;
+    }
+
+    const [ref, ...words] = args;
+    const text = words.join(' ');
+
+    if (!ref || (action === 'edit' && !text)) {
+      const usage = action === 'edit' ? '/edit <#id> <new text>' : `/${action} <#id> [reason]`;
+      console.log(chalk.red(`Usage: ${usage}`));
+      return;
+    }
+
+    const url = `${SERVER_URL}/api/messages/${this.currentRoom}/${this.resolveMessageId(ref)}`;
+
+    try {
+      if (action === 'edit') {
+        await axios.put(url, { agentId: this.agentId, content: text });
+      } else if (action === 'delete') {
+        await axios.delete(url, { data: { agentId: this.agentId, reason: text || undefined } });
+      } else {
+        await axios.post(`${url}/redact`, { agentId: this.agentId, reason: text || undefined });
+      }
+    } catch (error) {
+      console.log(chalk.red(`Failed to ${action} message: ${error.message}`));
+    }
+  }
+
+  async react(args) {
+    if (!this.currentRoom) {
+      console.log(chalk.yellow('Not in a room'));
+      return;
+    }
+
+    const [ref, reaction = 'ack'] = args;
+
+    if (!ref) {
+      console.log(chalk.red('Usage: /react <#id> [reaction]'));
+      return;
+    }
+
+    try {
+      await axios.post(`${SERVER_URL}/api/messages/${this.currentRoom}/${this.resolveMessageId(ref)}/reactions`, {
+        agentId: this.agentId,
+        reaction
+      });
+    } catch (error) {
+      console.log(chalk.red(`Failed to react: ${error.message}`));
+    }
+  }
+
+  // Which agents have acknowledged a message (the last broadcast by default)
+  async showAcks(ref) {
+    if (!this.currentRoom) {
+      console.log(chalk.yellow('Not in a room'));
+      return;
+    }
+
+    const messageId = ref ? this.resolveMessageId(ref) : this.lastBroadcastId;
+    if (!messageId) {
+      console.log(chalk.red('Usage: /acks <#id> (defaults to your last broadcast)'));
+      return;
+    }
+
+    try {
+      const [reactionsResponse, agentsResponse] = await Promise.all([
+        axios.get(`${SERVER_URL}/api/messages/${this.currentRoom}/${messageId}/reactions`),
+        axios.get(`${SERVER_URL}/api/agents/${this.currentRoom}`)
+      ]);
+      const { message, reactions } = reactionsResponse.data;
+      const acked = reactions.ack?.agents || [];
+      const agents = agentsResponse.data.agents.filter(agent => agent.id !== this.agentId);
+
+      console.log(chalk.yellow(`\nAcknowledgements for #${messageId.slice(0, 8)}: ${message.content}`));
+      agents.forEach(agent => {
+        const mark = acked.includes(agent.name) ? chalk.green('✓') : chalk.gray('○');
+        console.log(`  ${mark} ${agent.name}`);
+      });
+      console.log(chalk.gray(`  ${acked.length}/${agents.length} acknowledged`));
+
+      Object.entries(reactions)
+        .filter(([reaction]) => reaction !== 'ack')
+        .forEach(([reaction, { agents: names }]) => console.log(`  ${reaction}: ${names.join(', ')}`));
+    } catch (error) {
+      console.log(chalk.red(`Failed to get acknowledgements: ${error.message}`));
+    }
+  }
+
+  async showRevisions(ref) {
+    if (!this.currentRoom) {
+      console.log(chalk.yellow('Not in a room'));
+      return;
+    }
+
+    if (!ref) {
+      console.log(chalk.red('Usage: /revisions <#id>'));
+      return;
+    }
+
+    try {
+      const response = await axios.get(`${SERVER_URL}/api/messages/${this.currentRoom}/${this.resolveMessageId(ref)}/revisions`);
+      const { message, revisions } = response.data;
+
+      console.log(chalk.yellow(`\nRevisions of #${message.id.slice(0, 8)} by ${message.agentName}:`));
+      if (revisions.length === 0) {
+        console.log(chalk.gray('  No changes'));
+      }
+      revisions.forEach(revision => {
+        const time = new Date(revision.createdAt).toLocaleString();
+        const reason = revision.reason ? chalk.gray(` (${revision.reason})`) : '';
+        const previous = revision.content !== null ? `: was "${revision.content}"` : '';
+        console.log(`  [${time}] ${revision.action} by ${revision.actorName}${reason}${previous}`);
+      });
+      console.log(`  Current: ${message.content || chalk.gray('(empty)')}`);
+    } catch (error) {
+      console.log(chalk.red(`Failed to get revisions: ${error.message}`));
+    }
+  }
+
+  async showThread(ref) {
+    if (!this.currentRoom) {
+      console.log(chalk.yellow('Not in a room'));
+      return;
+    }
+
+    if (!ref) {
+      console.log(chalk.red('Usage: /thread <#id>'));
+      return;
+    }
+
+    try {
+      const response = await axios.get(`${SERVER_URL}/api/messages/${this.currentRoom}/thread/${this.resolveMessageId(ref)}`);
+      const { root, replies } = response.data;
+
+      console.log(chalk.yellow(`\nThread (${replies.length} replies):`));
+      if (root) this.displayMessage(root);
+      replies.forEach(reply => this.displayMessage(reply));
+    } catch (error) {
+      console.log(chalk.red(`Failed to get thread: ${error.message}`));
+    }
+  }
+
+  async sendMessage(content, replyTo = null) {
     if (!content) return;
 
     try {
-      await axios.post(`${SERVER_URL}/api/send`, {
+      const response = await axios.post(`${SERVER_URL}/api/send`, {
         agentId: this.agentId,
         content,
-        metadata: {}
+        metadata: {},
+        replyTo
       });
+      
+      // Our own messages aren't echoed back, but replies may point at them
+      this.rememberMessage({ id: response.data.messageId, agentName: this.agentName, content });
     } catch (error) {
       console.log(chalk.red(`Failed to send message: ${error.message}`));
     }
@@ -290,7 +695,7 @@ class OrchestratorCLI {
 
   async listRooms() {
     try {
-      const response = await axios.get(`${SERVER_URL}/api/rooms`);
+      const response = await axios.get(`${SERVER_URL}/api/rooms`, this.overviewConfig());
       const rooms = response.data.rooms;
       
       console.log(chalk.yellow('\nActive rooms:'));
@@ -320,30 +725,90 @@ class OrchestratorCLI {
       console.log(chalk.yellow(`\nAgents in ${this.currentRoom}:`));
       agents.forEach(agent => {
         const role = agent.capabilities?.role || 'unknown';
-        console.log(`  ${chalk.bold(agent.name)} (${role})`);
+        const status = this.formatStatus(agent.status);
+        const statusMessage = agent.statusMessage ? chalk.gray(` - ${agent.statusMessage}`) : '';
+        console.log(`  ${status} ${chalk.bold(agent.name)} (${role})${statusMessage}`);
       });
     } catch (error) {
       console.log(chalk.red(`Failed to list agents: ${error.message}`));
     }
   }
 
-  async showHistory(limitStr) {
+  async handleRolesCommand(args) {
+    if (!this.currentRoom) {
+      console.log(chalk.yellow('Not in a room'));
+      return;
+    }
+
+    const [subcommand, role, permissions] = args;
+
+    try {
+      if (subcommand === 'set') {
+        if (!role || permissions === undefined) {
+          console.log(chalk.red('Usage: /roles set <role> <permission,permission,...|none>'));
+          return;
+        }
+
+        const list = permissions === 'none' ? [] : permissions.split(',').map(p => p.trim()).filter(Boolean);
+        await axios.put(`${SERVER_URL}/api/rooms/${this.currentRoom}/settings`, {
+          roles: { [role]: list }
+        });
+        console.log(chalk.green(`✓ Role "${role}" can now: ${list.join(', ') || 'nothing'}`));
+        return;
+      }
+
+      const response = await axios.get(`${SERVER_URL}/api/rooms/${this.currentRoom}/settings`);
+      const { roles, restrictedRoles, availablePermissions } = response.data;
+
+      console.log(chalk.yellow(`\nRoles in ${this.currentRoom}:`));
+      Object.entries(roles).forEach(([name, granted]) => {
+        const restricted = restrictedRoles.includes(name) ? chalk.gray(' (admin key required)') : '';
+        console.log(`  ${chalk.bold(name)}${restricted}: ${granted.join(', ') || chalk.gray('no permissions')}`);
+      });
+      console.log(chalk.gray(`\n  Permissions: ${availablePermissions.join(', ')}`));
+    } catch (error) {
+      console.log(chalk.red(`Failed to manage roles: ${error.message}`));
+    }
+  }
+
+  formatStatus(status) {
+    switch (status) {
+      case 'online': return chalk.green('● online ');
+      case 'busy': return chalk.red('● busy   ');
+      case 'away': return chalk.yellow('● away   ');
+      case 'offline': return chalk.gray('○ offline');
+      default: return chalk.gray(`● ${status || 'unknown'}`);
+    }
+  }
+
+  // /history [n] shows the latest messages, /history older [n] pages back
+  async showHistory(args) {
     if (!this.currentRoom) {
       console.log(chalk.yellow('Not in a room'));
       return;
     }
 
-    const limit = parseInt(limitStr) || 20;
+    const older = args[0] === 'older';
+    const limit = parseInt(older ? args[1] : args[0]) || 20;
+
+    if (older && !this.historyCursor) {
+      console.log(chalk.yellow('No earlier messages. Use /history first.'));
+      return;
+    }
 
     try {
       const response = await axios.get(`${SERVER_URL}/api/messages/${this.currentRoom}`, {
-        params: { limit }
+        params: { limit, before: older ? this.historyCursor : undefined }
       });
       
-      const messages = response.data.messages;
-      console.log(chalk.yellow(`\nLast ${messages.length} messages:`));
+      const { messages, hasMore, prevCursor } = response.data;
+      this.historyCursor = hasMore ? prevCursor : null;
+      console.log(chalk.yellow(`\n${older ? 'Earlier' : 'Last'} ${messages.length} messages:`));
       
       messages.forEach(msg => this.displayMessage(msg));
+      if (hasMore) {
+        console.log(chalk.gray('  /history older for earlier messages'));
+      }
     } catch (error) {
       console.log(chalk.red(`Failed to get history: ${error.message}`));
     }
@@ -363,39 +828,81 @@ class OrchestratorCLI {
         break;
         
       case 'list':
-        await this.listTasks();
+        await this.listTasks(this.parseFields(args.slice(1)));
+        break;
+        
+      case 'update':
+        await this.updateTask(args[1], this.parseFields(args.slice(2)));
+        break;
+        
+      case 'delete':
+        await this.deleteTask(args[1]);
+        break;
+        
+      case 'tree':
+        await this.showTaskTree();
+        break;
+        
+      case 'history':
+        await this.showTaskHistory(args[1]);
         break;
         
       default:
-        console.log(chalk.yellow('Usage: /task create | /task list'));
+        console.log(chalk.yellow('Usage: /task create | list [field=value...] | update <#id> field=value... | delete <#id> | tree | history <#id>'));
     }
   }
 
+  // Parses key=value arguments; quote values that contain spaces: title="Fix login"
+  parseFields(args) {
+    const fields = {};
+    const pattern = /(\w+)=("[^"]*"|\S+)/g;
+    let match;
+    while ((match = pattern.exec(args.join(' '))) !== null) {
+      fields[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return fields;
+  }
+
+  resolveTaskIds(refs) {
+    return refs.split(',').map(ref => ref.trim()).filter(Boolean).map(ref => this.resolveTaskId(ref));
+  }
+
+  resolveTaskId(ref) {
+    const prefix = (ref || '').replace(/^#/, '');
+    for (const id of this.knownTasks.keys()) {
+      if (id.startsWith(prefix)) return id;
+    }
+    return prefix;
+  }
+
   async createTask() {
     const title = await this.question('Task title: ');
     const description = await this.question('Description: ');
     const priority = await this.question('Priority (low/medium/high) [medium]: ') || 'medium';
     const assignee = await this.question('Assign to (agent name, optional): ');
+    const dependsOn = await this.question('Depends on (#ids, comma separated, optional): ');
 
     try {
-      const response = await axios.post(`${SERVER_URL}/api/tasks`, {
-        roomName: this.currentRoom,
+      const response = await axios.post(`${SERVER_URL}/api/tasks/${this.currentRoom}`, {
         title,
         description,
         priority,
         assignee: assignee || undefined,
+        dependsOn: this.resolveTaskIds(dependsOn),
         creator: this.agentName
       });
 
-      console.log(chalk.green('✓ Task created successfully'));
+      const task = response.data.task;
+      this.knownTasks.set(task.id, task);
+      console.log(chalk.green(`✓ Task created successfully`) + chalk.gray(` #${task.id.slice(0, 8)}`));
     } catch (error) {
       console.log(chalk.red(`Failed to create task: ${error.message}`));
     }
   }
 
-  async listTasks() {
+  async listTasks(filters = {}) {
     try {
-      const response = await axios.get(`${SERVER_URL}/api/tasks/${this.currentRoom}`);
+      const response = await axios.get(`${SERVER_URL}/api/tasks/${this.currentRoom}`, { params: filters });
       const tasks = response.data.tasks;
       
       console.log(chalk.yellow(`\nTasks in ${this.currentRoom}:`));
@@ -403,9 +910,12 @@ class OrchestratorCLI {
         console.log(chalk.gray('  No tasks'));
       } else {
         tasks.forEach(task => {
+          this.knownTasks.set(task.id, task);
           const status = task.status.toUpperCase();
           const assignee = task.assignee || 'Unassigned';
-          console.log(`  [${status}] ${chalk.bold(task.title)} - ${assignee}`);
+          const eta = task.estimatedCompletion ? chalk.gray(` eta ${new Date(task.estimatedCompletion).toLocaleString()}`) : '';
+          console.log(`  ${chalk.gray('#' + task.id.slice(0, 8))} [${status}] ${chalk.bold(task.title)} - ${assignee} ${chalk.gray(`(${task.priority})`)}`);
+          console.log(`    ${this.progressBar(task.progress)}${eta}`);
         });
       }
     } catch (error) {
@@ -413,10 +923,119 @@ class OrchestratorCLI {
     }
   }
 
+  progressBar(percent = 0, width = 20) {
+    const filled = Math.round(percent / 100 * width);
+    const color = percent >= 100 ? chalk.green : chalk.cyan;
+    return color('█'.repeat(filled)) + chalk.gray('░'.repeat(width - filled)) + ` ${percent}%`;
+  }
+
+  async updateTask(ref, fields) {
+    if (!ref || Object.keys(fields).length === 0) {
+      console.log(chalk.red('Usage: /task update <#id> status=done priority=high assignee=Bob title="..." dependsOn=#a,#b'));
+      return;
+    }
+
+    try {
+      if (fields.dependsOn !== undefined) {
+        fields.dependsOn = this.resolveTaskIds(fields.dependsOn);
+      }
+      if (fields.progress !== undefined) {
+        fields.progress = Number(fields.progress);
+      }
+
+      const response = await axios.put(`${SERVER_URL}/api/tasks/${this.resolveTaskId(ref)}`, {
+        ...fields,
+        agentId: this.agentId
+      });
+
+      const task = response.data.task;
+      this.knownTasks.set(task.id, task);
+      console.log(chalk.green(`✓ Task "${task.title}" updated`) + chalk.gray(` [${task.status.toUpperCase()}] ${task.assignee || 'Unassigned'}`));
+    } catch (error) {
+      console.log(chalk.red(`Failed to update task: ${error.message}`));
+    }
+  }
+
+  // Prerequisites first, with the tasks that wait on them nested underneath
+  async showTaskTree() {
+    try {
+      const response = await axios.get(`${SERVER_URL}/api/tasks/${this.currentRoom}`);
+      const tasks = response.data.tasks;
+      const byId = new Map(tasks.map(task => [task.id, task]));
+      const statusColor = { done: chalk.green, blocked: chalk.red, in_progress: chalk.cyan, review: chalk.blue };
+      const shown = new Set();
+
+      const printTask = (task, depth) => {
+        this.knownTasks.set(task.id, task);
+        const color = statusColor[task.status] || chalk.white;
+        const indent = '  '.repeat(depth + 1) + (depth > 0 ? '└─ ' : '');
+        const repeat = shown.has(task.id) ? chalk.gray(' (see above)') : '';
+        console.log(`${indent}${chalk.gray('#' + task.id.slice(0, 8))} ${color(`[${task.status.toUpperCase()}]`)} ${task.title}${repeat}`);
+        if (repeat) return;
+        shown.add(task.id);
+        tasks.filter(t => t.dependsOn.includes(task.id)).forEach(dependent => printTask(dependent, depth + 1));
+      };
+
+      console.log(chalk.yellow(`\nTask dependencies in ${this.currentRoom}:`));
+      const roots = tasks.filter(task => !task.dependsOn.some(id => byId.has(id)));
+      if (roots.length === 0) {
+        console.log(chalk.gray('  No tasks'));
+      }
+      roots.forEach(task => printTask(task, 0));
+    } catch (error) {
+      console.log(chalk.red(`Failed to show task tree: ${error.message}`));
+    }
+  }
+
+  async showTaskHistory(ref) {
+    if (!ref) {
+      console.log(chalk.red('Usage: /task history <#id>'));
+      return;
+    }
+
+    try {
+      const response = await axios.get(`${SERVER_URL}/api/tasks/${this.resolveTaskId(ref)}/events`);
+      const { task, events } = response.data;
+      const format = value => Array.isArray(value) ? value.map(id => '#' + id.slice(0, 8)).join(', ') || 'none' : (value ?? 'none');
+
+      console.log(chalk.yellow(`\nTimeline of "${task?.title || ref}":`));
+      events.forEach(event => {
+        const time = new Date(event.timestamp).toLocaleString();
+        const reason = event.reason ? chalk.gray(` (${event.reason})`) : '';
+        let change;
+        if (event.event === 'created' || event.event === 'deleted') {
+          change = event.event;
+        } else {
+          change = `${event.event}: ${format(event.from)} → ${format(event.to)}`;
+        }
+        console.log(`  ${chalk.gray(time)} ${chalk.cyan(event.actor)} ${change}${reason}`);
+      });
+    } catch (error) {
+      console.log(chalk.red(`Failed to get task history: ${error.message}`));
+    }
+  }
+
+  async deleteTask(ref) {
+    if (!ref) {
+      console.log(chalk.red('Usage: /task delete <#id>'));
+      return;
+    }
+
+    const taskId = this.resolveTaskId(ref);
+
+    try {
+      await axios.delete(`${SERVER_URL}/api/tasks/${taskId}`, { data: { agentId: this.agentId } });
+      this.knownTasks.delete(taskId);
+      console.log(chalk.green('✓ Task deleted'));
+    } catch (error) {
+      console.log(chalk.red(`Failed to delete task: ${error.message}`));
+    }
+  }
+
   // New orchestrator methods
   async showStats() {
     try {
-      const response = await axios.get(`${SERVER_URL}/api/stats`);
+      const response = await axios.get(`${SERVER_URL}/api/stats`, this.overviewConfig());
       const stats = response.data;
       
       console.log(chalk.yellow('\n📊 System Statistics:'));
@@ -429,6 +1048,11 @@ class OrchestratorCLI {
         console.log(chalk.yellow('\n📋 Room Details:'));
         stats.rooms.forEach(room => {
           console.log(`  ${room.name}: ${room.agentCount} agents, ${room.messageCount} messages`);
+          const { total, percentDone, averageProgress, inFlightByAgent } = room.tasks;
+          if (total > 0) {
+            const inFlight = Object.entries(inFlightByAgent).map(([agent, count]) => `${agent} ${count}`).join(', ') || 'none';
+            console.log(chalk.gray(`    Tasks: ${total}, ${percentDone}% done, average progress ${averageProgress}%, in flight: ${inFlight}`));
+          }
         });
       }
     } catch (error) {
@@ -448,12 +1072,13 @@ class OrchestratorCLI {
     }
 
     try {
-      await axios.post(`${SERVER_URL}/api/broadcast/${this.currentRoom}`, {
+      const response = await axios.post(`${SERVER_URL}/api/broadcast/${this.currentRoom}`, {
         content: message,
         from: this.agentName
       });
       
-      console.log(chalk.green(`📢 Broadcast sent to room "${this.currentRoom}"`));
+      this.lastBroadcastId = response.data.messageId;
+      console.log(chalk.green(`📢 Broadcast sent to room "${this.currentRoom}"`) + chalk.gray(' (/acks to see who acknowledged it)'));
     } catch (error) {
       console.log(chalk.red(`Failed to broadcast: ${error.message}`));
     }
@@ -466,29 +1091,142 @@ class OrchestratorCLI {
     }
 
     const agentName = args[0];
-    const taskDescription = args.slice(1).join(' ');
+    // /assign auto skills=python,sql <description> lets the hub pick the agent
+    const { skills } = this.parseFields(args.slice(1, 2));
+    const taskDescription = args.slice(skills ? 2 : 1).join(' ');
 
     if (!agentName || !taskDescription) {
-      console.log(chalk.red('Usage: /assign <agent_name> <task_description>'));
+      console.log(chalk.red('Usage: /assign <agent_name> <task_description> | /assign auto [skills=a,b] <task_description>'));
       return;
     }
 
     try {
-      const response = await axios.post(`${SERVER_URL}/api/tasks`, {
-        roomName: this.currentRoom,
-        title: `Assigned to ${agentName}`,
+      const response = await axios.post(`${SERVER_URL}/api/tasks/${this.currentRoom}`, {
+        title: agentName === 'auto' ? taskDescription.slice(0, 60) : `Assigned to ${agentName}`,
         description: taskDescription,
         assignee: agentName,
+        requiredSkills: skills ? skills.split(',').filter(Boolean) : [],
         creator: this.agentName,
         priority: 'medium'
       });
 
-      console.log(chalk.green(`✅ Task assigned to ${agentName}: "${taskDescription}"`));
+      const { task } = response.data;
+      console.log(chalk.green(`✅ Task assigned to ${task.assignee}: "${taskDescription}"`));
     } catch (error) {
       console.log(chalk.red(`Failed to assign task: ${error.message}`));
     }
   }
 
+  async handleWorkflowCommand(args) {
+    if (!this.currentRoom) {
+      console.log(chalk.yellow('Not in a room'));
+      return;
+    }
+
+    const [subcommand, arg] = args;
+
+    switch (subcommand) {
+      case 'run':
+        await this.runWorkflow(arg);
+        break;
+
+      case 'status':
+        await this.showWorkflowStatus(arg);
+        break;
+
+      case 'cancel':
+        await this.cancelWorkflow(arg);
+        break;
+
+      default:
+        console.log(chalk.yellow('Usage: /workflow run <file> | status [#id] | cancel <#id>'));
+    }
+  }
+
+  resolveWorkflowId(ref) {
+    const prefix = (ref || '').replace(/^#/, '');
+    for (const id of this.knownWorkflows.keys()) {
+      if (id.startsWith(prefix)) return id;
+    }
+    return prefix;
+  }
+
+  async runWorkflow(file) {
+    if (!file) {
+      console.log(chalk.red('Usage: /workflow run <file.json|file.yaml>'));
+      return;
+    }
+
+    try {
+      // The hub parses JSON and YAML alike
+      const definition = fs.readFileSync(path.resolve(file), 'utf-8');
+      const response = await axios.post(`${SERVER_URL}/api/workflows/${this.currentRoom}`, {
+        definition,
+        createdBy: this.agentName
+      });
+
+      const { workflow } = response.data;
+      this.knownWorkflows.set(workflow.id, workflow);
+      console.log(chalk.green(`✓ Workflow "${workflow.name}" started`) + chalk.gray(` #${workflow.id.slice(0, 8)}`));
+      this.printWorkflowStages(workflow);
+      (response.data.warnings || []).forEach(warning => console.log(chalk.yellow(`  ⚠ ${warning}`)));
+    } catch (error) {
+      console.log(chalk.red(`Failed to start workflow: ${error.message}`));
+    }
+  }
+
+  printWorkflowStages(workflow) {
+    const stageColor = { done: chalk.green, active: chalk.cyan, pending: chalk.gray };
+    workflow.stages.forEach(stage => {
+      const waits = stage.after.length ? chalk.gray(` after ${stage.after.join(', ')}`) : '';
+      const skills = stage.skills.length ? ` (${stage.skills.join(', ')})` : '';
+      const assignee = stage.assignee || stage.agent || `${stage.role || 'auto'}${skills}`;
+      console.log(`    ${stageColor[stage.status](`[${stage.status.toUpperCase()}]`)} ${stage.name} - ${assignee}${waits}`);
+      if (stage.status === 'active') {
+        console.log(`      ${this.progressBar(stage.progress)}`);
+      }
+    });
+  }
+
+  async showWorkflowStatus(ref) {
+    try {
+      const url = ref
+        ? `${SERVER_URL}/api/workflows/${this.currentRoom}/${this.resolveWorkflowId(ref)}`
+        : `${SERVER_URL}/api/workflows/${this.currentRoom}`;
+      const response = await axios.get(url);
+      const workflows = ref ? [response.data.workflow] : response.data.workflows;
+
+      console.log(chalk.yellow(`\nWorkflows in ${this.currentRoom}:`));
+      if (workflows.length === 0) {
+        console.log(chalk.gray('  No workflows'));
+      }
+      workflows.forEach(workflow => {
+        this.knownWorkflows.set(workflow.id, workflow);
+        const done = workflow.stages.filter(stage => stage.status === 'done').length;
+        console.log(`  ${chalk.gray('#' + workflow.id.slice(0, 8))} ${chalk.bold(workflow.name)} [${workflow.status.toUpperCase()}] ${done}/${workflow.stages.length} stages done`);
+        if (ref || workflow.status === 'running') {
+          this.printWorkflowStages(workflow);
+        }
+      });
+    } catch (error) {
+      console.log(chalk.red(`Failed to get workflow status: ${error.message}`));
+    }
+  }
+
+  async cancelWorkflow(ref) {
+    if (!ref) {
+      console.log(chalk.red('Usage: /workflow cancel <#id>'));
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${SERVER_URL}/api/workflows/${this.currentRoom}/${this.resolveWorkflowId(ref)}/cancel`);
+      console.log(chalk.green(`✓ Workflow "${response.data.workflow.name}" cancelled; its open tasks are blocked`));
+    } catch (error) {
+      console.log(chalk.red(`Failed to cancel workflow: ${error.message}`));
+    }
+  }
+
   async monitorMode(roomName) {
     const targetRoom = roomName || this.currentRoom;
     
@@ -552,9 +1290,37 @@ class OrchestratorCLI {
     }
   }
 
+  async directMessage(args) {
+    if (!this.currentRoom) {
+      console.log(chalk.yellow('Not in a room'));
+      return;
+    }
+
+    const agentName = args[0];
+    const message = args.slice(1).join(' ');
+
+    if (!agentName || !message) {
+      console.log(chalk.red('Usage: /dm <agent_name> <message>'));
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${SERVER_URL}/api/dm`, {
+        agentId: this.agentId,
+        to: agentName,
+        content: message
+      });
+
+      const pending = response.data.delivered ? '' : chalk.gray(' (offline, queued as a notification)');
+      console.log(chalk.green(`✉️  DM to ${agentName}: "${message}"`) + pending);
+    } catch (error) {
+      console.log(chalk.red(`Failed to send direct message: ${error.message}`));
+    }
+  }
+
   async viewLogs(type = 'all') {
     try {
-      const response = await axios.get(`${SERVER_URL}/api/stats`);
+      const response = await axios.get(`${SERVER_URL}/api/stats`, this.overviewConfig());
       const stats = response.data;
       
       console.log(chalk.yellow(`\n📋 System Logs (${type}):`));
@@ -578,7 +1344,7 @@ class OrchestratorCLI {
     
     if (action === 'list') {
       try {
-        const response = await axios.get(`${SERVER_URL}/api/stats`);
+        const response = await axios.get(`${SERVER_URL}/api/stats`, this.overviewConfig());
         console.log(chalk.yellow('\n🧠 Memory Usage Summary:'));
         console.log(`Rooms in memory: ${response.data.totalRooms}`);
         console.log(`Agents in memory: ${response.data.totalAgents}`);
@@ -12,6 +12,31 @@ const SERVER_URL = process.env.CHAT_SERVER_URL || "http://localhost:3000";
 let currentAgentId = null;
 let currentRoom = null;
 let socket = null;
+let authToken = null;
+let tokenRefreshTimer = null;
+
+if (process.env.HUB_JOIN_KEY) {
+  axios.defaults.headers.common["X-Join-Key"] = process.env.HUB_JOIN_KEY;
+}
+
+// Tokens expire, so renew ours halfway through its lifetime
+function setAuthToken(token, expiresIn) {
+  clearTimeout(tokenRefreshTimer);
+  authToken = token;
+  axios.defaults.headers.common["Authorization"] = `Bearer ${token}`;
+  if (expiresIn) {
+    tokenRefreshTimer = setTimeout(refreshToken, Math.min(expiresIn * 500, 2 ** 31 - 1));
+  }
+}
+
+async function refreshToken() {
+  try {
+    const response = await axios.post(`${SERVER_URL}/api/token`);
+    setAuthToken(response.data.token, response.data.tokenExpiresIn);
+  } catch (error) {
+    console.error(`Failed to refresh token: ${error.message}`);
+  }
+}
 
 // Initialize socket connection
 function connectSocket() {
@@ -22,7 +47,11 @@ function connectSocket() {
   socket.on("connect", () => {
     console.error(`Connected to chat server at ${SERVER_URL}`);
     if (currentAgentId && currentRoom) {
-      socket.emit("register", { agentId: currentAgentId, room: currentRoom });
+      socket.emit("register", {
+        agentId: currentAgentId,
+        room: currentRoom,
+        token: authToken,
+      });
     }
   });
 
@@ -173,6 +202,8 @@ async function handleRoomJoin(params) {
       }
     );
 
+    setAuthToken(response.data.token, response.data.tokenExpiresIn);
+
     connectSocket();
 
     return {
@@ -6,11 +6,15 @@ import { io } from 'socket.io-client';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs/promises';
 import path from 'path';
+import os from 'os';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const SERVER_URL = process.env.CHAT_SERVER_URL || 'http://localhost:3000';
-const SHARED_DIR = process.env.SHARED_DIR || path.join(process.cwd(), 'shared');
+const SHARED_DIR = path.resolve(process.env.SHARED_DIR || path.join(process.cwd(), 'shared'));
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB
+const HEARTBEAT_INTERVAL = 15000;
+const IDENTITY_DIR = path.resolve(process.env.AGENT_IDENTITY_DIR || path.join(os.homedir(), '.symphony-of-one'));
 
 // Global state
 let currentAgentId = null;
@@ -18,8 +22,96 @@ let currentRoom = null;
 let socket = null;
 let agentName = process.env.AGENT_NAME || `Agent-${uuidv4().slice(0, 8)}`;
 let notifications = [];
-let messageHistory = [];
 let watchPatterns = [];
+let heartbeatTimer = null;
+let agentCapabilities = null;
+let tokenRefreshTimer = null;
+
+// Every request to the hub carries the token issued on join, renewed
+// halfway through its lifetime so long sessions aren't locked out
+function setAuthToken(token, expiresIn) {
+  clearTimeout(tokenRefreshTimer);
+  if (token) {
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    if (expiresIn) {
+      tokenRefreshTimer = setTimeout(refreshToken, Math.min(expiresIn * 500, 2 ** 31 - 1));
+    }
+  } else {
+    delete axios.defaults.headers.common['Authorization'];
+  }
+}
+
+if (process.env.HUB_JOIN_KEY) {
+  axios.defaults.headers.common['X-Join-Key'] = process.env.HUB_JOIN_KEY;
+}
+
+async function refreshToken() {
+  try {
+    const response = await axios.post(`${SERVER_URL}/api/token`);
+    setAuthToken(response.data.token, response.data.tokenExpiresIn);
+  } catch (error) {
+    console.error(`[${agentName}] Failed to refresh token: ${error.message}`);
+  }
+}
+
+function authToken() {
+  return axios.defaults.headers.common['Authorization']?.slice('Bearer '.length);
+}
+
+// Report the hub's own error (e.g. a missing permission) instead of
+// axios' generic "Request failed with status code 403"
+axios.interceptors.response.use(null, (error) => {
+  if (error.response?.data?.error) {
+    error.message = error.response.data.error;
+  }
+  return Promise.reject(error);
+});
+
+// Each agent name keeps its hub identity in a key file, so memories,
+// notifications and assigned tasks are still ours after a restart
+function identityFile() {
+  return path.join(IDENTITY_DIR, `${agentName.replace(/[^\w.-]/g, '_')}.json`);
+}
+
+async function loadIdentity() {
+  try {
+    const identity = JSON.parse(await fs.readFile(identityFile(), 'utf-8'));
+    return identity.agentId && identity.credential ? identity : null;
+  } catch {
+    return null;
+  }
+}
+
+async function saveIdentity(identity) {
+  await fs.mkdir(IDENTITY_DIR, { recursive: true, mode: 0o700 });
+  await fs.writeFile(identityFile(), JSON.stringify(identity, null, 2), { mode: 0o600 });
+}
+
+// Join under our stable identity, storing the credential the hub issues
+// the first time it sees this agent ID
+async function postJoin(roomName) {
+  const identity = await loadIdentity();
+  currentAgentId = identity?.agentId || currentAgentId || uuidv4();
+  
+  const response = await axios.post(`${SERVER_URL}/api/join/${roomName}`, {
+    agentId: currentAgentId,
+    agentName: agentName,
+    credential: identity?.agentId === currentAgentId ? identity.credential : undefined,
+    keepIdentity: true,
+    capabilities: agentCapabilities
+  });
+  
+  if (response.data.credential) {
+    try {
+      await saveIdentity({ agentId: currentAgentId, agentName, credential: response.data.credential });
+    } catch (error) {
+      console.error(`[${agentName}] Could not save identity to ${identityFile()}: ${error.message}`);
+    }
+  }
+  
+  setAuthToken(response.data.token, response.data.tokenExpiresIn);
+  return response;
+}
 
 // Ensure shared directory exists
 async function ensureSharedDir() {
@@ -31,38 +123,92 @@ async function ensureSharedDir() {
   }
 }
 
+// Check that a resolved path stays inside the shared directory
+function isInsideSharedDir(root, target) {
+  const relative = path.relative(root, target);
+  const escapes = relative === '..' || relative.startsWith(`..${path.sep}`);
+  return relative === '' || (!escapes && !path.isAbsolute(relative));
+}
+
+// Resolve a user supplied path against the shared directory, rejecting
+// anything (including symlinks) that would escape the sandbox
+async function resolveSharedPath(filePath = '.') {
+  const resolved = path.resolve(SHARED_DIR, filePath);
+  if (!isInsideSharedDir(SHARED_DIR, resolved)) {
+    throw new Error(`Access denied: ${filePath} is outside the shared directory`);
+  }
+
+  // Walk up to the closest existing ancestor so new files can be checked too
+  const realRoot = await fs.realpath(SHARED_DIR);
+  let existing = resolved;
+  let remainder = '';
+  while (true) {
+    try {
+      const real = await fs.realpath(existing);
+      const realTarget = path.join(real, remainder);
+      if (!isInsideSharedDir(realRoot, realTarget)) {
+        throw new Error(`Access denied: ${filePath} resolves outside the shared directory`);
+      }
+      return { fullPath: realTarget, relativePath: path.relative(realRoot, realTarget) || '.' };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      // A dangling symlink would let a write land wherever it points
+      const isDanglingLink = await fs.lstat(existing).then(() => true, () => false);
+      if (isDanglingLink) {
+        throw new Error(`Access denied: ${filePath} is a broken symlink`);
+      }
+      remainder = path.join(path.basename(existing), remainder);
+      existing = path.dirname(existing);
+    }
+  }
+}
+
+// Pick up notifications the hub stored while we were offline, such as task assignments
+async function syncNotifications() {
+  try {
+    const response = await axios.get(`${SERVER_URL}/api/notifications/${currentAgentId}`, {
+      params: { unreadOnly: true }
+    });
+    
+    response.data.notifications.reverse().forEach(notification => {
+      if (notifications.some(n => n.id === notification.id)) return;
+      notifications.push({
+        id: notification.id,
+        type: notification.type,
+        message: notification.message,
+        room: notification.room,
+        timestamp: notification.created_at,
+        read: false
+      });
+    });
+  } catch (error) {
+    console.error(`[${agentName}] Failed to sync notifications: ${error.message}`);
+  }
+}
+
 // Initialize socket connection
 function connectSocket() {
   if (socket) socket.disconnect();
   
   socket = io(SERVER_URL);
   
+  // Let the hub know we're alive so it doesn't evict us
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = setInterval(() => {
+    if (socket?.connected) socket.emit('heartbeat');
+  }, HEARTBEAT_INTERVAL);
+  
   socket.on('connect', () => {
     console.error(`[${agentName}] Connected to chat server at ${SERVER_URL}`);
     if (currentAgentId && currentRoom) {
-      socket.emit('register', { agentId: currentAgentId, room: currentRoom });
+      socket.emit('register', { agentId: currentAgentId, room: currentRoom, token: authToken() });
     }
   });
   
   socket.on('message', (message) => {
-    messageHistory.push(message);
-    // Keep only last 1000 messages
-    if (messageHistory.length > 1000) {
-      messageHistory = messageHistory.slice(-1000);
-    }
-    
-    // Check for notifications
+    // Mentions arrive as stored notifications on the 'notification' event;
+    // keyword watches are only known to us
     const content = message.content?.toLowerCase() || '';
-    if (message.mentions?.includes(agentName)) {
-      notifications.push({
-        id: uuidv4(),
-        type: 'mention',
-        message: message,
-        timestamp: new Date().toISOString(),
-        read: false
-      });
-    }
-    
     for (const pattern of watchPatterns) {
       if (content.includes(pattern.toLowerCase())) {
         notifications.push({
@@ -77,23 +223,42 @@ function connectSocket() {
       }
     }
     
-    console.error(`[${message.agentName || 'System'}]: ${message.content}`);
+    const sender = message.type === 'direct' ? `DM from ${message.agentName}` : (message.agentName || 'System');
+    console.error(`[${sender}]: ${message.content}`);
   });
   
   socket.on('notification', (notification) => {
     notifications.push({
-      id: uuidv4(),
       type: 'system',
       ...notification,
+      // Same ID as the hub's stored copy, so syncNotifications doesn't add it twice
+      id: notification.id || uuidv4(),
       timestamp: new Date().toISOString(),
       read: false
     });
     console.error(`🔔 [Notification]: ${notification.message}`);
   });
   
-  socket.on('task_assigned', (task) => {
+  // Shared knowledge changed by someone else in the room
+  socket.on('room_memory', ({ action, entry, deletedBy }) => {
+    if (action === 'stored' && entry.updatedBy === currentAgentId) return;
+    
+    const who = action === 'stored' ? entry.updatedByName : deletedBy;
     notifications.push({
       id: uuidv4(),
+      type: 'room_memory',
+      entry: entry,
+      message: `${who} ${action} room memory ${entry.namespace}/${entry.key}`,
+      timestamp: new Date().toISOString(),
+      read: false
+    });
+    console.error(`📚 [Room memory]: ${who} ${action} ${entry.namespace}/${entry.key}`);
+  });
+  
+  socket.on('task_assigned', (task) => {
+    notifications.push({
+      // Same ID as the hub's stored copy, so syncNotifications doesn't add it twice
+      id: task.notificationId || uuidv4(),
       type: 'task',
       task: task,
       message: `Task assigned: ${task.title}`,
@@ -103,6 +268,30 @@ function connectSocket() {
     console.error(`📋 [Task Assigned]: ${task.title}`);
   });
   
+  socket.on('registered', ({ resumed }) => {
+    if (resumed) {
+      console.error(`[${agentName}] Resumed session in room "${currentRoom}"`);
+    }
+    syncNotifications();
+  });
+  
+  // The hub evicted us while we were away: join again under the same identity
+  socket.on('registration_failed', async () => {
+    if (!currentAgentId || !currentRoom) return;
+    
+    try {
+      await postJoin(currentRoom);
+      socket.emit('register', { agentId: currentAgentId, room: currentRoom, token: authToken() });
+      console.error(`[${agentName}] Rejoined room "${currentRoom}" after eviction`);
+    } catch (error) {
+      console.error(`[${agentName}] Failed to rejoin room: ${error.message}`);
+    }
+  });
+  
+  socket.on('permission_denied', ({ error }) => {
+    console.error(`[${agentName}] ${error}`);
+  });
+  
   socket.on('disconnect', () => {
     console.error(`[${agentName}] Disconnected from chat server`);
   });
@@ -122,19 +311,16 @@ const server = new Server(
 
 // Tool handlers
 async function joinRoom(params) {
-  currentAgentId = uuidv4();
+  currentAgentId = null;
   currentRoom = params.roomName;
   if (params.agentName) {
     agentName = params.agentName;
   }
   
+  agentCapabilities = params.capabilities || { role: 'ai-agent', type: 'claude' };
+  
   try {
-    const response = await axios.post(`${SERVER_URL}/api/join/${params.roomName}`, {
-      agentId: currentAgentId,
-      agentName: agentName,
-      capabilities: params.capabilities || { role: 'ai-agent', type: 'claude' }
-    });
-    
+    const response = await postJoin(params.roomName);
     connectSocket();
     
     return {
@@ -142,6 +328,8 @@ async function joinRoom(params) {
       roomName: params.roomName,
       agentId: currentAgentId,
       agentName: agentName,
+      role: response.data.role,
+      permissions: response.data.permissions,
       currentAgents: response.data.currentAgents
     };
   } catch (error) {
@@ -155,19 +343,18 @@ async function leaveRoom() {
   }
   
   try {
-    await axios.post(`${SERVER_URL}/api/leave`, {
-      agentId: currentAgentId
-    });
+    await axios.post(`${SERVER_URL}/api/leave/${currentAgentId}`);
     
+    clearInterval(heartbeatTimer);
     if (socket) {
       socket.disconnect();
       socket = null;
     }
     
     const leftRoom = currentRoom;
+    setAuthToken(null);
     currentAgentId = null;
     currentRoom = null;
-    messageHistory = [];
     notifications = [];
     
     return {
@@ -185,46 +372,161 @@ async function sendMessage(params) {
   }
   
   try {
-    await axios.post(`${SERVER_URL}/api/send`, {
+    const response = await axios.post(`${SERVER_URL}/api/send`, {
       agentId: currentAgentId,
       content: params.content,
-      metadata: params.metadata || {}
+      metadata: params.metadata || {},
+      replyTo: params.replyTo
     });
     
     return {
       success: true,
-      message: `Message sent to room "${currentRoom}"`
+      messageId: response.data.messageId,
+      threadId: response.data.threadId,
+      message: params.replyTo ? `Reply sent in room "${currentRoom}"` : `Message sent to room "${currentRoom}"`
     };
   } catch (error) {
     throw new Error(`Failed to send message: ${error.message}`);
   }
 }
 
+async function sendDirectMessage(params) {
+  if (!currentAgentId) {
+    throw new Error('Not connected to a room. Use room_join first.');
+  }
+  
+  try {
+    const response = await axios.post(`${SERVER_URL}/api/dm`, {
+      agentId: currentAgentId,
+      to: params.agentName,
+      content: params.content,
+      metadata: params.metadata || {}
+    });
+    
+    return {
+      success: true,
+      message: `Direct message sent to ${response.data.recipient}`,
+      delivered: response.data.delivered
+    };
+  } catch (error) {
+    throw new Error(`Failed to send direct message: ${error.message}`);
+  }
+}
+
+async function editMessage(params) {
+  if (!currentRoom) {
+    throw new Error('Not in a room. Use room_join first.');
+  }
+  
+  try {
+    const response = await axios.put(`${SERVER_URL}/api/messages/${currentRoom}/${params.messageId}`, {
+      content: params.content
+    });
+    
+    return { success: true, message: response.data.message };
+  } catch (error) {
+    throw new Error(`Failed to edit message: ${error.message}`);
+  }
+}
+
+async function deleteMessage(params) {
+  if (!currentRoom) {
+    throw new Error('Not in a room. Use room_join first.');
+  }
+  
+  try {
+    await axios.delete(`${SERVER_URL}/api/messages/${currentRoom}/${params.messageId}`, {
+      data: { reason: params.reason }
+    });
+    
+    return { success: true, message: `Message ${params.messageId} deleted` };
+  } catch (error) {
+    throw new Error(`Failed to delete message: ${error.message}`);
+  }
+}
+
+async function redactMessage(params) {
+  if (!currentRoom) {
+    throw new Error('Not in a room. Use room_join first.');
+  }
+  
+  try {
+    await axios.post(`${SERVER_URL}/api/messages/${currentRoom}/${params.messageId}/redact`, {
+      reason: params.reason
+    });
+    
+    return { success: true, message: `Message ${params.messageId} redacted` };
+  } catch (error) {
+    throw new Error(`Failed to redact message: ${error.message}`);
+  }
+}
+
+async function reactToMessage(params) {
+  if (!currentRoom) {
+    throw new Error('Not in a room. Use room_join first.');
+  }
+  
+  try {
+    const response = await axios.post(`${SERVER_URL}/api/messages/${currentRoom}/${params.messageId}/reactions`, {
+      reaction: params.reaction || 'ack',
+      remove: params.remove || false
+    });
+    
+    return { success: true, messageId: params.messageId, reactions: response.data.reactions };
+  } catch (error) {
+    throw new Error(`Failed to react to message: ${error.message}`);
+  }
+}
+
 async function getMessages(params) {
   if (!currentRoom) {
     throw new Error('Not in a room. Use room_join first.');
   }
   
   try {
-    // First try to get from local history
-    if (!params.since && messageHistory.length > 0) {
-      const limit = params.limit || 50;
+    if (params.threadId) {
+      const response = await axios.get(`${SERVER_URL}/api/messages/${currentRoom}/thread/${params.threadId}`);
       return {
-        messages: messageHistory.slice(-limit),
-        source: 'local_cache'
+        threadId: response.data.threadId,
+        messages: [response.data.root, ...response.data.replies].filter(Boolean),
+        source: 'server'
       };
     }
     
-    // Otherwise fetch from server
+    const paging = params.before || params.after;
+    
+    // By default return what we missed since our read cursor and mark it read
+    if (!params.since && !paging && params.unread !== false) {
+      const response = await axios.get(`${SERVER_URL}/api/messages/${currentRoom}/unread`, {
+        params: {
+          limit: params.limit || 50,
+          markRead: true
+        }
+      });
+      
+      return {
+        messages: response.data.messages,
+        remainingUnread: response.data.unreadCount,
+        hasMore: response.data.hasMore,
+        source: 'unread'
+      };
+    }
+    
+    // Otherwise page through the full history on the server
     const response = await axios.get(`${SERVER_URL}/api/messages/${currentRoom}`, {
       params: {
         since: params.since,
+        before: params.before,
+        after: params.after,
         limit: params.limit || 50
       }
     });
     
     return {
       messages: response.data.messages,
+      hasMore: response.data.hasMore,
+      prevCursor: response.data.prevCursor,
+      nextCursor: response.data.nextCursor,
       source: 'server'
     };
   } catch (error) {
@@ -243,13 +545,19 @@ async function searchMessages(params) {
         query: params.query,
         agentName: params.agentName,
         type: params.type,
-        mentioned: params.mentioned
+        mentioned: params.mentioned,
+        since: params.since,
+        until: params.until,
+        limit: params.limit,
+        offset: params.offset
       }
     });
     
     return {
       messages: response.data.messages,
-      count: response.data.messages.length
+      count: response.data.messages.length,
+      total: response.data.total,
+      hasMore: response.data.hasMore
     };
   } catch (error) {
     throw new Error(`Failed to search messages: ${error.message}`);
@@ -338,13 +646,17 @@ async function getTasks(params) {
     const response = await axios.get(`${SERVER_URL}/api/tasks/${currentRoom}`, {
       params: {
         status: params.status,
-        assignee: params.assignee || agentName,
-        priority: params.priority
+        // 'all' lists every task in the room
+        assignee: params.assignee === 'all' ? undefined : (params.assignee || agentName),
+        priority: params.priority,
+        sort: params.sort,
+        order: params.order
       }
     });
     
     return {
-      tasks: response.data.tasks
+      tasks: response.data.tasks,
+      total: response.data.total
     };
   } catch (error) {
     throw new Error(`Failed to get tasks: ${error.message}`);
@@ -362,6 +674,9 @@ async function createTask(params) {
       description: params.description,
       assignee: params.assignee,
       priority: params.priority || 'medium',
+      dependsOn: params.dependsOn,
+      requiredSkills: params.requiredSkills,
+      estimatedCompletion: params.estimatedCompletion,
       creator: agentName
     });
     
@@ -377,10 +692,15 @@ async function createTask(params) {
 async function updateTask(params) {
   try {
     const response = await axios.put(`${SERVER_URL}/api/tasks/${params.taskId}`, {
+      title: params.title,
+      description: params.description,
       status: params.status,
       progress: params.progress,
+      estimatedCompletion: params.estimatedCompletion,
       assignee: params.assignee,
-      priority: params.priority
+      priority: params.priority,
+      dependsOn: params.dependsOn,
+      requiredSkills: params.requiredSkills
     });
     
     return {
@@ -392,11 +712,39 @@ async function updateTask(params) {
   }
 }
 
+async function getTaskTimeline(params) {
+  try {
+    const response = await axios.get(`${SERVER_URL}/api/tasks/${params.taskId}/events`);
+    
+    return {
+      task: response.data.task,
+      events: response.data.events
+    };
+  } catch (error) {
+    throw new Error(`Failed to get task timeline: ${error.message}`);
+  }
+}
+
+async function deleteTask(params) {
+  try {
+    await axios.delete(`${SERVER_URL}/api/tasks/${params.taskId}`);
+    
+    return {
+      success: true,
+      taskId: params.taskId
+    };
+  } catch (error) {
+    throw new Error(`Failed to delete task: ${error.message}`);
+  }
+}
+
 async function addTaskComment(params) {
   try {
     const response = await axios.post(`${SERVER_URL}/api/tasks/${params.taskId}/comments`, {
       content: params.content,
-      author: agentName
+      author: agentName,
+      agentId: currentAgentId,
+      parentId: params.parentId
     });
     
     return {
@@ -408,13 +756,28 @@ async function addTaskComment(params) {
   }
 }
 
+async function getTaskComments(params) {
+  try {
+    const response = await axios.get(`${SERVER_URL}/api/tasks/${params.taskId}/comments`, {
+      params: { threaded: params.threaded }
+    });
+    
+    return {
+      taskId: params.taskId,
+      comments: response.data.comments
+    };
+  } catch (error) {
+    throw new Error(`Failed to get comments: ${error.message}`);
+  }
+}
+
 async function getRoomAgents() {
   if (!currentRoom) {
     throw new Error('Not in a room. Use room_join first.');
   }
   
   try {
-    const response = await axios.get(`${SERVER_URL}/api/rooms/${currentRoom}/agents`);
+    const response = await axios.get(`${SERVER_URL}/api/agents/${currentRoom}`);
     
     return {
       agents: response.data.agents,
@@ -451,22 +814,71 @@ async function storeMemory(params) {
   }
   
   try {
-    await axios.post(`${SERVER_URL}/api/memory/${currentAgentId}`, {
+    const response = await axios.post(`${SERVER_URL}/api/memory/${currentAgentId}`, {
       key: params.key,
       value: params.value,
       type: params.type || 'note',
-      expiresIn: params.expiresIn
+      expiresIn: params.expiresIn,
+      expectedVersion: params.expectedVersion
     });
     
     return {
       success: true,
-      key: params.key
+      key: params.key,
+      version: response.data.memory.version
     };
   } catch (error) {
     throw new Error(`Failed to store memory: ${error.message}`);
   }
 }
 
+async function updateMemory(params) {
+  if (!currentAgentId) {
+    throw new Error('Not connected to a room. Use room_join first.');
+  }
+  
+  try {
+    const response = await axios.put(`${SERVER_URL}/api/memory/${currentAgentId}/${encodeURIComponent(params.key)}`, {
+      value: params.value,
+      type: params.type,
+      expiresIn: params.expiresIn,
+      expectedVersion: params.expectedVersion
+    });
+    
+    return {
+      success: true,
+      memory: response.data.memory
+    };
+  } catch (error) {
+    throw new Error(`Failed to update memory: ${error.message}`);
+  }
+}
+
+async function deleteMemory(params) {
+  if (!currentAgentId) {
+    throw new Error('Not connected to a room. Use room_join first.');
+  }
+  
+  if (!params.key && !params.type) {
+    throw new Error('Provide a key or a type to delete');
+  }
+  
+  try {
+    const response = params.key
+      ? await axios.delete(`${SERVER_URL}/api/memory/${currentAgentId}/${encodeURIComponent(params.key)}`, {
+        params: { expectedVersion: params.expectedVersion }
+      })
+      : await axios.delete(`${SERVER_URL}/api/memory/${currentAgentId}`, { params: { type: params.type } });
+    
+    return {
+      success: true,
+      deleted: response.data.deleted
+    };
+  } catch (error) {
+    throw new Error(`Failed to delete memory: ${error.message}`);
+  }
+}
+
 async function retrieveMemory(params) {
   if (!currentAgentId) {
     throw new Error('Not connected to a room. Use room_join first.');
@@ -487,6 +899,212 @@ async function retrieveMemory(params) {
   }
 }
 
+async function searchMemory(params) {
+  if (!currentAgentId) {
+    throw new Error('Not connected to a room. Use room_join first.');
+  }
+  
+  try {
+    const response = await axios.get(`${SERVER_URL}/api/memory/${currentAgentId}/search`, {
+      params: { q: params.query, limit: params.limit, type: params.type }
+    });
+    
+    return {
+      query: params.query,
+      results: response.data.results.map(memory => ({
+        key: memory.key,
+        value: memory.value,
+        type: memory.type,
+        score: memory.score,
+        version: memory.version,
+        updatedAt: memory.updatedAt
+      }))
+    };
+  } catch (error) {
+    throw new Error(`Failed to search memory: ${error.message}`);
+  }
+}
+
+async function storeRoomMemory(params) {
+  if (!currentAgentId) {
+    throw new Error('Not connected to a room. Use room_join first.');
+  }
+  
+  try {
+    const response = await axios.post(`${SERVER_URL}/api/rooms/${currentRoom}/memory`, {
+      namespace: params.namespace,
+      key: params.key,
+      value: params.value,
+      expectedVersion: params.expectedVersion
+    });
+    
+    const { entry } = response.data;
+    return {
+      success: true,
+      namespace: entry.namespace,
+      key: entry.key,
+      version: entry.version
+    };
+  } catch (error) {
+    throw new Error(`Failed to store room memory: ${error.message}`);
+  }
+}
+
+async function retrieveRoomMemory(params) {
+  if (!currentAgentId) {
+    throw new Error('Not connected to a room. Use room_join first.');
+  }
+  
+  try {
+    const response = await axios.get(`${SERVER_URL}/api/rooms/${currentRoom}/memory`, {
+      params: { namespace: params.namespace, key: params.key }
+    });
+    
+    return {
+      room: currentRoom,
+      entries: response.data.entries
+    };
+  } catch (error) {
+    throw new Error(`Failed to retrieve room memory: ${error.message}`);
+  }
+}
+
+async function readFile(params) {
+  try {
+    const { fullPath: filePath, relativePath } = await resolveSharedPath(params.path);
+    const stats = await fs.stat(filePath);
+
+    if (!stats.isFile()) {
+      throw new Error(`${params.path} is not a file`);
+    }
+    if (stats.size > MAX_FILE_SIZE) {
+      throw new Error(`File is ${stats.size} bytes, exceeds limit of ${MAX_FILE_SIZE} bytes`);
+    }
+
+    const encoding = params.encoding || 'utf-8';
+    const content = await fs.readFile(filePath, encoding);
+
+    return {
+      path: relativePath,
+      content,
+      encoding,
+      size: stats.size,
+      modified: stats.mtime.toISOString()
+    };
+  } catch (error) {
+    throw new Error(`Failed to read file: ${error.message}`);
+  }
+}
+
+async function writeFile(params) {
+  try {
+    const { fullPath: filePath, relativePath } = await resolveSharedPath(params.path);
+    const encoding = params.encoding || 'utf-8';
+    const size = Buffer.byteLength(params.content, encoding);
+
+    let existingSize = 0;
+    if (params.append) {
+      existingSize = await fs.stat(filePath).then(s => s.size, () => 0);
+    }
+    if (existingSize + size > MAX_FILE_SIZE) {
+      throw new Error(`File would be ${existingSize + size} bytes, exceeds limit of ${MAX_FILE_SIZE} bytes`);
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    if (params.append) {
+      await fs.appendFile(filePath, params.content, encoding);
+    } else {
+      await fs.writeFile(filePath, params.content, encoding);
+    }
+
+    return {
+      success: true,
+      path: relativePath,
+      size: existingSize + size
+    };
+  } catch (error) {
+    throw new Error(`Failed to write file: ${error.message}`);
+  }
+}
+
+async function listFiles(params) {
+  try {
+    const { fullPath: dirPath, relativePath } = await resolveSharedPath(params.path || '.');
+    const realRoot = await fs.realpath(SHARED_DIR);
+
+    async function walk(dir) {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      const results = [];
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        const stats = await fs.stat(fullPath).catch(() => null);
+        // Skip broken symlinks and anything pointing outside the sandbox
+        if (!stats || !isInsideSharedDir(realRoot, await fs.realpath(fullPath))) continue;
+
+        results.push({
+          path: path.relative(realRoot, fullPath),
+          type: stats.isDirectory() ? 'directory' : 'file',
+          size: stats.size,
+          modified: stats.mtime.toISOString()
+        });
+
+        if (params.recursive && stats.isDirectory() && !entry.isSymbolicLink()) {
+          results.push(...await walk(fullPath));
+        }
+      }
+
+      return results;
+    }
+
+    const files = await walk(dirPath);
+
+    return {
+      path: relativePath,
+      files,
+      count: files.length
+    };
+  } catch (error) {
+    throw new Error(`Failed to list files: ${error.message}`);
+  }
+}
+
+async function deleteFile(params) {
+  try {
+    const resolved = path.resolve(SHARED_DIR, params.path);
+    if (!isInsideSharedDir(SHARED_DIR, resolved)) {
+      throw new Error(`Access denied: ${params.path} is outside the shared directory`);
+    }
+    const relative = path.relative(SHARED_DIR, resolved);
+    if (relative === '') {
+      throw new Error('Cannot delete the shared directory itself');
+    }
+
+    // Only the parent is resolved through symlinks, so deleting a link
+    // removes the link rather than whatever it points to
+    const parent = await resolveSharedPath(path.dirname(relative));
+    const filePath = path.join(parent.fullPath, path.basename(relative));
+    const relativePath = path.join(parent.relativePath, path.basename(relative));
+
+    const stats = await fs.lstat(filePath);
+    if (stats.isDirectory()) {
+      if (!params.recursive) {
+        throw new Error(`${params.path} is a directory, pass recursive: true to delete it`);
+      }
+      await fs.rm(filePath, { recursive: true });
+    } else {
+      await fs.unlink(filePath);
+    }
+
+    return {
+      success: true,
+      path: relativePath
+    };
+  } catch (error) {
+    throw new Error(`Failed to delete file: ${error.message}`);
+  }
+}
+
 // Tool definitions
 const tools = [
   {
@@ -502,7 +1120,7 @@ const tools = [
           description: 'Your capabilities and role',
           properties: {
             skills: { type: 'array', items: { type: 'string' } },
-            role: { type: 'string' },
+            role: { type: 'string', description: "Role that decides your permissions in the room (default 'worker')" },
             expertise: { type: 'string' }
           }
         }
@@ -527,6 +1145,7 @@ const tools = [
       type: 'object',
       properties: {
         content: { type: 'string', description: 'Message content' },
+        replyTo: { type: 'string', description: 'ID of the message this replies to (starts or continues its thread)' },
         metadata: {
           type: 'object',
           description: 'Optional metadata',
@@ -541,14 +1160,85 @@ const tools = [
     },
     handler: sendMessage
   },
+  {
+    name: 'send_direct_message',
+    description: 'Send a private message to one agent in the current room; other agents never see it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Name of the agent to message' },
+        content: { type: 'string', description: 'Message content' },
+        metadata: { type: 'object', description: 'Optional metadata' }
+      },
+      required: ['agentName', 'content']
+    },
+    handler: sendDirectMessage
+  },
+  {
+    name: 'edit_message',
+    description: 'Edit one of your own messages (the previous text is kept in its revision history)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        messageId: { type: 'string', description: 'ID of the message to edit' },
+        content: { type: 'string', description: 'New message content' }
+      },
+      required: ['messageId', 'content']
+    },
+    handler: editMessage
+  },
+  {
+    name: 'delete_message',
+    description: "Delete one of your own messages (or another agent's, with the delete_messages permission)",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        messageId: { type: 'string', description: 'ID of the message to delete' },
+        reason: { type: 'string', description: 'Optional reason recorded in the audit trail' }
+      },
+      required: ['messageId']
+    },
+    handler: deleteMessage
+  },
+  {
+    name: 'redact_message',
+    description: 'Permanently remove sensitive content (e.g. a pasted secret) from a message and its revision history',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        messageId: { type: 'string', description: 'ID of the message to redact' },
+        reason: { type: 'string', description: 'Optional reason recorded in the audit trail' }
+      },
+      required: ['messageId']
+    },
+    handler: redactMessage
+  },
+  {
+    name: 'react_to_message',
+    description: 'React to a message (e.g. "+1") or acknowledge it with "ack" instead of sending a reply',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        messageId: { type: 'string', description: 'ID of the message to react to' },
+        reaction: { type: 'string', description: 'Reaction such as "ack", "+1" or "👀" (default: "ack")' },
+        remove: { type: 'boolean', description: 'Remove this reaction instead of adding it' }
+      },
+      required: ['messageId']
+    },
+    handler: reactToMessage
+  },
   {
     name: 'get_messages',
-    description: 'Get recent messages from current room',
+    description: 'Get the messages you have not read yet in the current room (and mark them read), recent history, or a whole thread (replies carry replyTo and threadId)',
     inputSchema: {
       type: 'object',
       properties: {
+        unread: { type: 'boolean', description: 'Return unread messages and advance your read cursor (default: true; false returns the latest messages)' },
         since: { type: 'string', description: 'ISO timestamp to get messages after' },
-        limit: { type: 'number', description: 'Maximum number of messages (default: 50)' }
+        before: { type: 'string', description: 'prevCursor from an earlier call, to page back to older messages' },
+        after: { type: 'string', description: 'nextCursor from an earlier call, to page forward to newer messages' },
+        limit: { type: 'number', description: 'Maximum number of messages (default: 50)' },
+        threadId: { type: 'string', description: 'ID of any message in a thread to fetch the whole thread' }
       }
     },
     handler: getMessages
@@ -559,10 +1249,14 @@ const tools = [
     inputSchema: {
       type: 'object',
       properties: {
-        query: { type: 'string', description: 'Search query' },
+        query: { type: 'string', description: 'Search terms (all must match, end a term with * for prefix matching)' },
         agentName: { type: 'string', description: 'Filter by agent name' },
         type: { type: 'string', description: 'Filter by message type' },
-        mentioned: { type: 'string', description: 'Find messages mentioning this agent' }
+        mentioned: { type: 'string', description: 'Find messages mentioning this agent' },
+        since: { type: 'string', description: 'Only messages at or after this ISO timestamp' },
+        until: { type: 'string', description: 'Only messages at or before this ISO timestamp' },
+        limit: { type: 'number', description: 'Maximum number of results (default: 50)' },
+        offset: { type: 'number', description: 'Number of results to skip, for paging' }
       },
       required: ['query']
     },
@@ -632,12 +1326,18 @@ const tools = [
           enum: ['todo', 'in_progress', 'review', 'done', 'blocked'],
           description: 'Filter by status' 
         },
-        assignee: { type: 'string', description: 'Filter by assignee (defaults to you)' },
+        assignee: { type: 'string', description: "Filter by assignee (defaults to you, 'all' for every task)" },
         priority: { 
           type: 'string',
           enum: ['low', 'medium', 'high'],
           description: 'Filter by priority'
-        }
+        },
+        sort: {
+          type: 'string',
+          enum: ['createdAt', 'updatedAt', 'priority', 'status', 'title', 'progress'],
+          description: 'Sort field (default: createdAt)'
+        },
+        order: { type: 'string', enum: ['asc', 'desc'], description: 'Sort order (default: asc)' }
       }
     },
     handler: getTasks
@@ -650,12 +1350,23 @@ const tools = [
       properties: {
         title: { type: 'string', description: 'Task title' },
         description: { type: 'string', description: 'Task description' },
-        assignee: { type: 'string', description: 'Agent to assign to' },
+        assignee: { type: 'string', description: "Agent to assign to, or 'auto' to let the hub pick by skills, availability and workload" },
+        requiredSkills: {
+          type: 'array',
+          items: { type: 'string' },
+          description: "Skills an agent must have declared to be picked by assignee 'auto'"
+        },
         priority: { 
           type: 'string',
           enum: ['low', 'medium', 'high'],
           description: 'Task priority (default: medium)'
-        }
+        },
+        dependsOn: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'IDs of tasks that must be done first; the task stays blocked until they are'
+        },
+        estimatedCompletion: { type: 'string', description: 'Expected completion time (ISO 8601)' }
       },
       required: ['title', 'description']
     },
@@ -663,26 +1374,59 @@ const tools = [
   },
   {
     name: 'update_task',
-    description: 'Update a task status or details',
+    description: 'Update a task status or details. Status moves todo → in_progress → review → done (review can go back to in_progress); any task can be blocked',
     inputSchema: {
       type: 'object',
       properties: {
         taskId: { type: 'string', description: 'Task ID' },
+        title: { type: 'string', description: 'New title' },
+        description: { type: 'string', description: 'New description' },
         status: { 
           type: 'string',
           enum: ['todo', 'in_progress', 'review', 'done', 'blocked']
         },
-        progress: { type: 'number', description: 'Progress percentage (0-100)' },
-        assignee: { type: 'string', description: 'New assignee' },
+        progress: { type: 'number', description: 'Progress percentage (0-100); reaching done sets it to 100' },
+        estimatedCompletion: { type: 'string', description: 'Expected completion time (ISO 8601)' },
+        assignee: { type: 'string', description: "New assignee, or 'auto' to let the hub pick one" },
+        requiredSkills: { type: 'array', items: { type: 'string' }, description: 'Skills needed for the task' },
         priority: { 
           type: 'string',
           enum: ['low', 'medium', 'high']
+        },
+        dependsOn: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Replace the task IDs this task depends on (cycles are rejected)'
         }
       },
       required: ['taskId']
     },
     handler: updateTask
   },
+  {
+    name: 'get_task_timeline',
+    description: 'Get the history of a task: who changed its status, assignee or other fields and when',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID' }
+      },
+      required: ['taskId']
+    },
+    handler: getTaskTimeline
+  },
+  {
+    name: 'delete_task',
+    description: 'Delete a task you created (or any task with the delete_tasks permission)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID' }
+      },
+      required: ['taskId']
+    },
+    handler: deleteTask
+  },
   {
     name: 'add_task_comment',
     description: 'Add a comment to a task',
@@ -690,12 +1434,26 @@ const tools = [
       type: 'object',
       properties: {
         taskId: { type: 'string', description: 'Task ID' },
-        content: { type: 'string', description: 'Comment content' }
+        content: { type: 'string', description: 'Comment content (supports @mentions)' },
+        parentId: { type: 'string', description: 'Comment ID to reply to (optional)' }
       },
       required: ['taskId', 'content']
     },
     handler: addTaskComment
   },
+  {
+    name: 'get_task_comments',
+    description: 'Get the discussion on a task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID' },
+        threaded: { type: 'boolean', description: 'Nest replies under their parent comment' }
+      },
+      required: ['taskId']
+    },
+    handler: getTaskComments
+  },
   {
     name: 'get_room_agents',
     description: 'Get list of agents in current room',
@@ -724,19 +1482,49 @@ const tools = [
   },
   {
     name: 'memory_store',
-    description: 'Store information in persistent memory',
+    description: 'Store information in persistent memory. Storing an existing key overwrites it and bumps its version',
     inputSchema: {
       type: 'object',
       properties: {
         key: { type: 'string', description: 'Memory key' },
         value: { type: 'string', description: 'Memory value' },
         type: { type: 'string', description: 'Memory type (e.g., note, context, learning)' },
-        expiresIn: { type: 'number', description: 'Expiration time in seconds (optional)' }
+        expiresIn: { type: 'number', description: 'Expiration time in seconds (optional)' },
+        expectedVersion: { type: 'number', description: 'Only write if the key is at this version (0: only if it does not exist yet)' }
       },
       required: ['key', 'value']
     },
     handler: storeMemory
   },
+  {
+    name: 'memory_update',
+    description: 'Update an existing memory entry; fields left out are kept',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        key: { type: 'string', description: 'Memory key' },
+        value: { type: 'string', description: 'New value' },
+        type: { type: 'string', description: 'New memory type' },
+        expiresIn: { type: 'number', description: 'New expiration time in seconds from now' },
+        expectedVersion: { type: 'number', description: 'Fail instead of overwriting if the entry has changed since this version' }
+      },
+      required: ['key']
+    },
+    handler: updateMemory
+  },
+  {
+    name: 'memory_delete',
+    description: 'Delete a memory entry by key, or every entry of a type',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        key: { type: 'string', description: 'Memory key to delete' },
+        type: { type: 'string', description: 'Delete all memories of this type (when no key is given)' },
+        expectedVersion: { type: 'number', description: 'Only delete the key if it is still at this version' }
+      }
+    },
+    handler: deleteMemory
+  },
   {
     name: 'memory_retrieve',
     description: 'Retrieve information from persistent memory',
@@ -748,6 +1536,108 @@ const tools = [
       }
     },
     handler: retrieveMemory
+  },
+  {
+    name: 'memory_search',
+    description: "Find memories by what they are about when you don't remember the key. Returns the most relevant entries with scores",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words describing what you are looking for' },
+        limit: { type: 'number', description: 'Maximum results (default: 5, max 50)' },
+        type: { type: 'string', description: 'Only search memories of this type' }
+      },
+      required: ['query']
+    },
+    handler: searchMemory
+  },
+  {
+    name: 'room_memory_store',
+    description: "Store a shared entry in the room's knowledge base (conventions, decisions, glossary...), visible to every agent in the room. Storing an existing key overwrites it and bumps its version",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        namespace: { type: 'string', description: "Topic the key belongs to, e.g. conventions, decisions, glossary (default 'general')" },
+        key: { type: 'string', description: 'Entry key within the namespace' },
+        value: { type: 'string', description: 'Entry value' },
+        expectedVersion: { type: 'number', description: 'Only write if the entry is at this version (0: only if it does not exist yet)' }
+      },
+      required: ['key', 'value']
+    },
+    handler: storeRoomMemory
+  },
+  {
+    name: 'room_memory_retrieve',
+    description: "Read the room's shared knowledge base",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        namespace: { type: 'string', description: 'Only entries in this namespace' },
+        key: { type: 'string', description: 'Only the entry with this key' }
+      }
+    },
+    handler: retrieveRoomMemory
+  },
+  {
+    name: 'file_read',
+    description: 'Read a file from the shared workspace',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the shared directory' },
+        encoding: {
+          type: 'string',
+          enum: ['utf-8', 'base64'],
+          description: 'Content encoding (default: utf-8)'
+        }
+      },
+      required: ['path']
+    },
+    handler: readFile
+  },
+  {
+    name: 'file_write',
+    description: 'Write a file to the shared workspace (other agents are notified of the change)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the shared directory' },
+        content: { type: 'string', description: 'File content' },
+        encoding: {
+          type: 'string',
+          enum: ['utf-8', 'base64'],
+          description: 'Content encoding (default: utf-8)'
+        },
+        append: { type: 'boolean', description: 'Append instead of overwriting' }
+      },
+      required: ['path', 'content']
+    },
+    handler: writeFile
+  },
+  {
+    name: 'file_list',
+    description: 'List files in the shared workspace',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory relative to the shared directory (default: root)' },
+        recursive: { type: 'boolean', description: 'Include subdirectories' }
+      }
+    },
+    handler: listFiles
+  },
+  {
+    name: 'file_delete',
+    description: 'Delete a file from the shared workspace',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the shared directory' },
+        recursive: { type: 'boolean', description: 'Required to delete a directory' }
+      },
+      required: ['path']
+    },
+    handler: deleteFile
   }
 ];
 
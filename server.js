@@ -4,27 +4,39 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 import chokidar from 'chokidar';
 import sqlite3 from 'sqlite3';
 import winston from 'winston';
+import YAML from 'yaml';
+import { validateExpectedVersion, versionedWrite } from './versioned-store.js';
 
 const app = express();
 const httpServer = createServer(app);
+// Cross-origin access is off unless CORS_ORIGIN lists allowed origins (or '*')
+const CORS_ORIGIN = process.env.CORS_ORIGIN
+  ? (process.env.CORS_ORIGIN === '*' ? '*' : process.env.CORS_ORIGIN.split(',').map(o => o.trim()))
+  : false;
+
 const io = new Server(httpServer, {
   cors: {
-    origin: '*',
+    origin: CORS_ORIGIN,
     methods: ['GET', 'POST']
   }
 });
 
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGIN }));
 app.use(express.json());
 
 // Configuration
 const SHARED_DIR = process.env.SHARED_DIR || path.join(process.cwd(), 'shared');
 const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+const MAX_MESSAGE_HISTORY = parseInt(process.env.MAX_MESSAGE_HISTORY) || 1000;
+const AGENT_GRACE_PERIOD = (parseInt(process.env.AGENT_GRACE_PERIOD) || 30) * 1000;
+const AGENT_EVICTION_TIMEOUT = (parseInt(process.env.AGENT_EVICTION_TIMEOUT) || 300) * 1000;
+const TOKEN_TTL = (parseInt(process.env.HUB_TOKEN_TTL) || 24 * 60 * 60) * 1000;
 
 // Logging setup
 const logger = winston.createLogger({
@@ -52,8 +64,14 @@ const rooms = new Map();
 const agents = new Map();
 const messages = new Map();
 const tasks = new Map();
+const workflows = new Map();
+const identities = new Map(); // agentId -> { name, credentialHash } for agents that rejoin across sessions
+const tokensRevokedAt = new Map(); // agentId -> time before which its tokens are no longer accepted
 const fileWatcher = new Map();
 const agentMemory = new Map(); // Persistent agent memories
+let ftsEnabled = true; // Cleared if SQLite was built without FTS5
+let hubSecret = null; // Signs agent tokens
+let adminKey = null; // Orchestrator key for admin routes
 
 // Initialize directories and database
 async function initializeSystem() {
@@ -71,8 +89,10 @@ async function initializeSystem() {
     logger.info(`Created data directory: ${DATA_DIR}`);
   }
   
+  await loadSecrets();
+  
   // Initialize database tables
-  db.serialize(() => {
+  await new Promise((resolve, reject) => db.serialize(() => {
     db.run(`CREATE TABLE IF NOT EXISTS rooms (
       id TEXT PRIMARY KEY,
       name TEXT UNIQUE,
@@ -136,36 +156,362 @@ async function initializeSystem() {
       is_read BOOLEAN DEFAULT 0,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )`);
-  });
-  
+    
+    db.run(`CREATE TABLE IF NOT EXISTS task_comments (
+      id TEXT PRIMARY KEY,
+      task_id TEXT,
+      room TEXT,
+      parent_id TEXT,
+      author TEXT,
+      author_id TEXT,
+      content TEXT,
+      mentions TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    )`);
+    
+    db.run("CREATE INDEX IF NOT EXISTS idx_task_comments_task ON task_comments (task_id, created_at)");
+    
+    // Audit trail of message edits, deletions and redactions
+    db.run(`CREATE TABLE IF NOT EXISTS message_revisions (
+      id TEXT PRIMARY KEY,
+      message_id TEXT,
+      room TEXT,
+      action TEXT,
+      content TEXT,
+      actor_id TEXT,
+      actor_name TEXT,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    db.run("CREATE INDEX IF NOT EXISTS idx_message_revisions_message ON message_revisions (message_id, created_at)");
+    
+    // Last message each agent has read in each room, by messages.rowid
+    db.run(`CREATE TABLE IF NOT EXISTS read_cursors (
+      agent_id TEXT,
+      room TEXT,
+      message_id TEXT,
+      seq INTEGER,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (agent_id, room)
+    )`);
+    
+    // One row per agent per reaction; 'ack' doubles as a read receipt
+    db.run(`CREATE TABLE IF NOT EXISTS message_reactions (
+      message_id TEXT,
+      room TEXT,
+      agent_id TEXT,
+      agent_name TEXT,
+      reaction TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (message_id, agent_id, reaction)
+    )`);
+    
+    db.run(`CREATE TABLE IF NOT EXISTS task_events (
+      id TEXT PRIMARY KEY,
+      task_id TEXT,
+      room TEXT,
+      event TEXT,
+      from_value TEXT,
+      to_value TEXT,
+      actor_id TEXT,
+      actor_name TEXT,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    db.run("CREATE INDEX IF NOT EXISTS idx_task_events_task ON task_events (task_id, created_at)");
+    
+    db.run(`CREATE TABLE IF NOT EXISTS workflows (
+      id TEXT PRIMARY KEY,
+      room TEXT,
+      name TEXT,
+      description TEXT,
+      stages TEXT,
+      status TEXT DEFAULT 'running',
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    db.run(`CREATE TABLE IF NOT EXISTS agent_identities (
+      agent_id TEXT PRIMARY KEY,
+      name TEXT,
+      credential_hash TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_seen DATETIME
+    )`);
+    
+    db.run(`CREATE TABLE IF NOT EXISTS room_memory (
+      id TEXT PRIMARY KEY,
+      room TEXT,
+      namespace TEXT,
+      key TEXT,
+      value TEXT,
+      version INTEGER DEFAULT 1,
+      created_by TEXT,
+      updated_by TEXT,
+      updated_by_name TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (room, namespace, key)
+    )`);
+    
+    addColumnIfMissing('agents', 'status_message', 'TEXT');
+    addColumnIfMissing('agents', 'tokens_revoked_at', 'INTEGER');
+    addColumnIfMissing('messages', 'recipient_id', 'TEXT');
+    addColumnIfMissing('messages', 'recipient_name', 'TEXT');
+    addColumnIfMissing('messages', 'reply_to', 'TEXT');
+    addColumnIfMissing('messages', 'thread_id', 'TEXT');
+    db.run("CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages (thread_id)");
+    addColumnIfMissing('messages', 'edited_at', 'DATETIME');
+    addColumnIfMissing('messages', 'deleted_at', 'DATETIME');
+    addColumnIfMissing('messages', 'redacted_at', 'DATETIME');
+    addColumnIfMissing('tasks', 'depends_on', 'TEXT');
+    addColumnIfMissing('tasks', 'assignee_id', 'TEXT');
+    addColumnIfMissing('tasks', 'required_skills', 'TEXT');
+    addColumnIfMissing('tasks', 'workflow_id', 'TEXT');
+    addColumnIfMissing('tasks', 'workflow_stage', 'TEXT');
+    addColumnIfMissing('agent_memory', 'version', 'INTEGER DEFAULT 1');
+    addColumnIfMissing('agent_memory', 'updated_at', 'DATETIME');
+    // Memory holds one entry per key: keep only the newest of any older duplicates
+    db.run("DELETE FROM agent_memory WHERE key IS NOT NULL AND rowid NOT IN (SELECT MAX(rowid) FROM agent_memory WHERE key IS NOT NULL GROUP BY agent_id, key)");
+    db.run("CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_memory_key ON agent_memory (agent_id, key)");
+    addColumnIfMissing('tasks', 'progress', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('tasks', 'estimated_completion', 'DATETIME');
+    addColumnIfMissing('tasks', 'status_before_block', 'TEXT');
+
+    setupMessageSearch();
+    
+    // Queued behind every statement above, so the schema is ready once it completes
+    db.get("SELECT 1", (err) => err ? reject(err) : resolve());
+  }));
+
   // Load existing data into memory
   await loadDataFromDatabase();
 }
 
-// Load data from database into memory maps
-async function loadDataFromDatabase() {
-  return new Promise((resolve, reject) => {
-    db.all("SELECT * FROM rooms WHERE is_active = 1", (err, rows) => {
+// Add a column to a table created by an older version of the hub
+function addColumnIfMissing(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !/duplicate column/i.test(err.message)) {
+      logger.error(`Failed to add ${table}.${column}:`, err);
+    }
+  });
+}
+
+// Full-text index over message content, kept in sync with triggers.
+// Falls back to LIKE matching if this SQLite build lacks FTS5.
+function setupMessageSearch() {
+  db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'", (err, existing) => {
+    if (err) {
+      logger.error('Failed to inspect search index:', err);
+    }
+
+    db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+      content, agent_name, content='messages', content_rowid='rowid'
+    )`, (err) => {
       if (err) {
-        logger.error('Failed to load rooms from database:', err);
-        return reject(err);
+        ftsEnabled = false;
+        logger.warn(`FTS5 unavailable, message search will use LIKE matching: ${err.message}`);
+        return;
       }
-      
-      rows.forEach(row => {
-        rooms.set(row.name, {
-          name: row.name,
-          agents: new Set(),
-          createdAt: row.created_at,
-          isActive: row.is_active === 1,
-          settings: row.settings ? JSON.parse(row.settings) : {}
+
+      db.run(`CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+        INSERT INTO messages_fts(rowid, content, agent_name) VALUES (new.rowid, new.content, new.agent_name);
+      END`);
+      db.run(`CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+        INSERT INTO messages_fts(messages_fts, rowid, content, agent_name) VALUES ('delete', old.rowid, old.content, old.agent_name);
+      END`);
+      db.run(`CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE ON messages BEGIN
+        INSERT INTO messages_fts(messages_fts, rowid, content, agent_name) VALUES ('delete', old.rowid, old.content, old.agent_name);
+        INSERT INTO messages_fts(rowid, content, agent_name) VALUES (new.rowid, new.content, new.agent_name);
+      END`);
+
+      // Index messages stored before the search index existed
+      if (!existing) {
+        db.run("INSERT INTO messages_fts(messages_fts) VALUES ('rebuild')", (err) => {
+          if (err) logger.error('Failed to build message search index:', err);
+          else logger.info('Built message search index');
         });
-        messages.set(row.name, []);
+      }
+    });
+  });
+}
+
+// Turn free text into an FTS5 query: every term must match, a trailing * keeps prefix matching
+function toFtsQuery(text) {
+  return text
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(term => {
+      const prefix = term.endsWith('*');
+      const word = term.replace(/\*+$/, '').replace(/"/g, '""');
+      return word ? `"${word}"${prefix ? '*' : ''}` : null;
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Convert a messages table row into the shape used by the API and socket events
+function rowToMessage(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    agentId: row.agent_id,
+    agentName: row.agent_name,
+    content: row.content,
+    mentions: row.mentions ? JSON.parse(row.mentions) : [],
+    metadata: row.metadata ? JSON.parse(row.metadata) : {},
+    timestamp: row.timestamp,
+    room: row.room,
+    ...(row.recipient_id && { recipientId: row.recipient_id, recipientName: row.recipient_name }),
+    ...(row.reply_to && { replyTo: row.reply_to, threadId: row.thread_id }),
+    ...(row.edited_at && { editedAt: row.edited_at }),
+    ...(row.deleted_at && { deletedAt: row.deleted_at }),
+    ...(row.redacted_at && { redactedAt: row.redacted_at })
+  };
+}
+
+// Convert a task_comments row into its API shape
+function rowToComment(row) {
+  return {
+    id: row.id,
+    taskId: row.task_id,
+    room: row.room,
+    parentId: row.parent_id,
+    author: row.author,
+    authorId: row.author_id,
+    content: row.content,
+    mentions: row.mentions ? JSON.parse(row.mentions) : [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Convert a workflows table row into its in-memory shape
+function rowToWorkflow(row) {
+  return {
+    id: row.id,
+    room: row.room,
+    name: row.name,
+    description: row.description,
+    stages: JSON.parse(row.stages),
+    status: row.status,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Convert a tasks table row into its in-memory shape
+function rowToTask(row) {
+  return {
+    id: row.id,
+    room: row.room,
+    title: row.title,
+    description: row.description,
+    assignee: row.assignee,
+    assigneeId: row.assignee_id || null,
+    creator: row.creator,
+    priority: row.priority,
+    status: row.status,
+    statusBeforeBlock: row.status_before_block || null,
+    dependsOn: row.depends_on ? JSON.parse(row.depends_on) : [],
+    requiredSkills: row.required_skills ? JSON.parse(row.required_skills) : [],
+    progress: row.progress || 0,
+    estimatedCompletion: row.estimated_completion || null,
+    workflowId: row.workflow_id || null,
+    workflowStage: row.workflow_stage || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Promise wrapper around db.all for startup loading
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+  });
+}
+
+// Load data from database into memory maps
+async function loadDataFromDatabase() {
+  try {
+    const roomRows = await dbAll("SELECT * FROM rooms WHERE is_active = 1");
+    roomRows.forEach(row => {
+      rooms.set(row.name, {
+        name: row.name,
+        agents: new Set(),
+        createdAt: row.created_at,
+        isActive: row.is_active === 1,
+        settings: row.settings ? JSON.parse(row.settings) : {}
       });
+      messages.set(row.name, []);
+      setupFileWatcher(row.name);
+    });
+    
+    // Most recent MAX_MESSAGE_HISTORY messages per room, oldest first
+    const messageRows = await dbAll(
+      `SELECT * FROM (
+        SELECT *, rowid AS seq, ROW_NUMBER() OVER (PARTITION BY room ORDER BY timestamp DESC, rowid DESC) AS rn FROM messages
+      ) WHERE rn <= ? ORDER BY timestamp ASC, seq ASC`,
+      [MAX_MESSAGE_HISTORY]
+    );
+    messageRows.forEach(row => {
+      messages.get(row.room)?.push(rowToMessage(row));
+    });
+    
+    const taskRows = await dbAll("SELECT * FROM tasks");
+    taskRows.forEach(row => tasks.set(row.id, rowToTask(row)));
+    
+    const workflowRows = await dbAll("SELECT * FROM workflows");
+    workflowRows.forEach(row => workflows.set(row.id, rowToWorkflow(row)));
+    
+    const revokedRows = await dbAll("SELECT id, tokens_revoked_at FROM agents WHERE tokens_revoked_at IS NOT NULL");
+    revokedRows.forEach(row => tokensRevokedAt.set(row.id, row.tokens_revoked_at));
+    
+    const identityRows = await dbAll("SELECT * FROM agent_identities");
+    identityRows.forEach(row => identities.set(row.agent_id, { name: row.name, credentialHash: row.credential_hash }));
+    
+    // Agents that never left get the usual reconnect window before eviction,
+    // unless they were last seen longer ago than that (e.g. rows written
+    // before agents were evicted at all), which would only be evicted again
+    const seenSince = new Date(Date.now() - AGENT_EVICTION_TIMEOUT).toISOString();
+    const agentRows = await dbAll(
+      "SELECT * FROM agents WHERE status NOT IN ('left', 'timed_out') AND datetime(last_active) >= datetime(?)",
+      [seenSince]
+    );
+    const restoredAt = new Date().toISOString();
+    agentRows.forEach(row => {
+      const room = rooms.get(row.room);
+      if (!room) return;
       
-      logger.info(`Loaded ${rows.length} rooms from database`);
-      resolve();
+      agents.set(row.id, {
+        id: row.id,
+        name: row.name,
+        room: row.room,
+        capabilities: row.capabilities ? JSON.parse(row.capabilities) : {},
+        joinedAt: row.joined_at,
+        lastActive: row.last_active,
+        socketId: null,
+        disconnectedAt: restoredAt,
+        status: row.status,
+        statusMessage: row.status_message
+      });
+      room.agents.add(row.id);
     });
-  });
+    
+    // Catch up on stages whose prerequisites finished just before a shutdown,
+    // once the agents they may be assigned to are back
+    workflows.forEach(workflow => advanceWorkflow(workflow));
+    
+    logger.info(`Loaded ${roomRows.length} rooms, ${messageRows.length} messages, ${taskRows.length} tasks, ${workflowRows.length} workflows and ${agents.size} agents from database`);
+  } catch (err) {
+    logger.error('Failed to load data from database:', err);
+    throw err;
+  }
 }
 
 // Parse mentions from message content (@agentName)
@@ -185,33 +531,46 @@ function parseMentions(content) {
 async function createNotifications(message, mentions) {
   const notifications = mentions.map(agentName => ({
     id: uuidv4(),
-    agent_id: findAgentByName(agentName)?.id,
+    agent_id: findAgentByName(agentName, message.room)?.id,
     room: message.room,
     message: `${message.agentName} mentioned you: ${message.content.substring(0, 100)}...`,
     type: 'mention',
     created_at: new Date().toISOString()
   })).filter(n => n.agent_id); // Only create notifications for existing agents
   
-  notifications.forEach(notification => {
-    db.run(
-      "INSERT INTO notifications (id, agent_id, room, message, type, created_at) VALUES (?, ?, ?, ?, ?, ?)",
-      [notification.id, notification.agent_id, notification.room, notification.message, notification.type, notification.created_at]
-    );
-    
-    // Send real-time notification to agent if connected
-    const agent = agents.get(notification.agent_id);
-    if (agent && agent.socketId) {
-      io.to(agent.socketId).emit('notification', notification);
-    }
-  });
+  notifications.forEach(storeNotification);
   
   return notifications;
 }
 
-// Find agent by name in current agents
-function findAgentByName(agentName) {
+// Persist a notification so offline agents see it later, and push it now if connected
+// (unless the caller delivers it over its own event)
+function storeNotification(notification, { push = true } = {}) {
+  db.run(
+    "INSERT INTO notifications (id, agent_id, room, message, type, created_at) VALUES (?, ?, ?, ?, ?, ?)",
+    [notification.id, notification.agent_id, notification.room, notification.message, notification.type, notification.created_at]
+  );
+  
+  const agent = agents.get(notification.agent_id);
+  if (push && agent && agent.socketId) {
+    io.to(agent.socketId).emit('notification', notification);
+  }
+}
+
+// Find agent by name in a room; names are only unique within a room
+function findAgentByName(agentName, roomName) {
+  for (const agent of agents.values()) {
+    if (agent.name === agentName && agent.room === roomName) {
+      return agent;
+    }
+  }
+  return null;
+}
+
+// Find the agent registered on a socket
+function findAgentBySocket(socketId) {
   for (const agent of agents.values()) {
-    if (agent.name === agentName) {
+    if (agent.socketId === socketId) {
       return agent;
     }
   }
@@ -224,6 +583,7 @@ function setupFileWatcher(roomName) {
   
   const watcher = chokidar.watch(SHARED_DIR, {
     ignored: /[\/\\]\./,
+    ignoreInitial: true,
     persistent: true
   });
   
@@ -238,7 +598,7 @@ function setupFileWatcher(roomName) {
       metadata: { filePath: relativePath, action: 'change' }
     };
     
-    messages.get(roomName)?.push(message);
+    recordMessage(message);
     io.to(roomName).emit('message', message);
   });
   
@@ -253,7 +613,7 @@ function setupFileWatcher(roomName) {
       metadata: { filePath: relativePath, action: 'add' }
     };
     
-    messages.get(roomName)?.push(message);
+    recordMessage(message);
     io.to(roomName).emit('message', message);
   });
   
@@ -268,7 +628,7 @@ function setupFileWatcher(roomName) {
       metadata: { filePath: relativePath, action: 'delete' }
     };
     
-    messages.get(roomName)?.push(message);
+    recordMessage(message);
     io.to(roomName).emit('message', message);
   });
   
@@ -300,317 +660,2970 @@ function getRoom(roomName) {
   return rooms.get(roomName);
 }
 
-// HTTP API Endpoints
-app.post('/api/join/:room', (req, res) => {
-  const { room: roomName } = req.params;
-  const { agentId, agentName, capabilities = {} } = req.body;
+// Add a message to its room's in-memory history (capped at
+// MAX_MESSAGE_HISTORY) and persist it
+function recordMessage(message) {
+  const history = messages.get(message.room);
+  if (history) {
+    history.push(message);
+    if (history.length > MAX_MESSAGE_HISTORY) {
+      history.splice(0, history.length - MAX_MESSAGE_HISTORY);
+    }
+  }
   
-  const room = getRoom(roomName);
-  room.agents.add(agentId);
+  db.run(
+    "INSERT INTO messages (id, room, agent_id, agent_name, content, type, mentions, metadata, timestamp, recipient_id, recipient_name, reply_to, thread_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+    [message.id, message.room, message.agentId || null, message.agentName || null, message.content, message.type, JSON.stringify(message.mentions || []), JSON.stringify(message.metadata || {}), message.timestamp, message.recipientId || null, message.recipientName || null, message.replyTo || null, message.threadId || null]
+  );
+}
+
+// Look a message up in the room's in-memory history, falling back to the database
+function findMessage(roomName, messageId, callback) {
+  const cached = messages.get(roomName)?.find(m => m.id === messageId);
+  if (cached) return callback(null, cached);
   
-  const agent = {
-    id: agentId,
-    name: agentName,
-    room: roomName,
-    capabilities,
-    joinedAt: new Date().toISOString(),
-    lastActive: new Date().toISOString(),
-    socketId: null,
-    status: 'active'
-  };
+  db.get("SELECT * FROM messages WHERE id = ? AND room = ?", [messageId, roomName], (err, row) => {
+    callback(err, row ? rowToMessage(row) : null);
+  });
+}
+
+const REDACTED = '[redacted]';
+
+// Apply an edit, delete or redact to a message in memory and in the
+// database. The content being replaced is kept in message_revisions,
+// except for redactions, which also scrub it from earlier revisions.
+function reviseMessage(message, { action, content, actor, reason = null }, callback) {
+  const now = new Date().toISOString();
+  const previous = message.content;
+  
+  if (action === 'edit') {
+    message.content = content;
+    message.mentions = parseMentions(content);
+    message.editedAt = now;
+  } else if (action === 'delete') {
+    message.content = '';
+    message.deletedAt = now;
+  } else if (action === 'redact') {
+    message.content = REDACTED;
+    message.redactedAt = now;
+  }
   
-  agents.set(agentId, agent);
+  db.serialize(() => {
+    if (action === 'redact') {
+      // Mention and DM notifications quote the start of the message, so
+      // scrub every version of it that ever existed
+      db.all("SELECT content FROM message_revisions WHERE message_id = ? AND content IS NOT NULL", [message.id], (err, rows) => {
+        if (err) return logger.error('Failed to load message revisions:', err);
+        
+        [previous, ...rows.map(row => row.content)].filter(Boolean).forEach(text => {
+          db.run("UPDATE notifications SET message = replace(message, ?, ?) WHERE room = ?", [text.substring(0, 100), REDACTED, message.room]);
+        });
+      });
+      db.run("UPDATE message_revisions SET content = ? WHERE message_id = ?", [REDACTED, message.id]);
+    }
+    
+    db.run(
+      "INSERT INTO message_revisions (id, message_id, room, action, content, actor_id, actor_name, reason, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      [uuidv4(), message.id, message.room, action, action === 'redact' ? null : previous, actor.id, actor.name, reason, now]
+    );
+    
+    db.run(
+      "UPDATE messages SET content = ?, mentions = ?, edited_at = ?, deleted_at = ?, redacted_at = ? WHERE id = ?",
+      [message.content, JSON.stringify(message.mentions || []), message.editedAt || null, message.deletedAt || null, message.redactedAt || null, message.id],
+      (err) => callback(err, message)
+    );
+  });
+}
+
+// Send a message event to everyone who can see the message
+function emitMessageEvent(message, event, payload) {
+  if (!message.recipientId) {
+    io.to(message.room).emit(event, payload);
+    return;
+  }
   
-  // Persist agent to database
-  db.run(
-    "INSERT OR REPLACE INTO agents (id, name, room, capabilities, joined_at, last_active, status) VALUES (?, ?, ?, ?, ?, ?, ?)",
-    [agentId, agentName, roomName, JSON.stringify(capabilities), agent.joinedAt, agent.lastActive, agent.status]
+  [message.agentId, message.recipientId]
+    .map(id => agents.get(id)?.socketId)
+    .filter(Boolean)
+    .forEach(socketId => io.to(socketId).emit(event, payload));
+}
+
+// Aggregate reaction rows into { reaction: { count, agents } }
+function summarizeReactions(rows) {
+  const summary = {};
+  rows.forEach(row => {
+    summary[row.reaction] = summary[row.reaction] || { count: 0, agents: [] };
+    summary[row.reaction].count++;
+    summary[row.reaction].agents.push(row.agent_name);
+  });
+  return summary;
+}
+
+// Load reaction summaries for a set of messages as a Map keyed by message ID
+function loadReactions(messageIds, callback) {
+  if (messageIds.length === 0) return callback(null, new Map());
+  
+  db.all(
+    `SELECT * FROM message_reactions WHERE message_id IN (${messageIds.map(() => '?').join(', ')}) ORDER BY created_at ASC`,
+    messageIds,
+    (err, rows) => {
+      if (err) return callback(err);
+      
+      const byMessage = new Map();
+      rows.forEach(row => {
+        if (!byMessage.has(row.message_id)) byMessage.set(row.message_id, []);
+        byMessage.get(row.message_id).push(row);
+      });
+      
+      callback(null, new Map(Array.from(byMessage, ([id, messageRows]) => [id, summarizeReactions(messageRows)])));
+    }
   );
-  
-  const joinMessage = {
+}
+
+function emitReadReceipt(agent, room, messageId) {
+  io.to(room).emit('read', { agentId: agent.id, agentName: agent.name, room, messageId });
+}
+
+// Record a system message in a room and push it to connected agents
+function postSystemMessage(roomName, content, metadata = {}) {
+  const message = {
     id: uuidv4(),
     type: 'system',
     agentId: null,
     agentName: 'System',
-    content: `${agentName} has joined the room`,
+    content,
     timestamp: new Date().toISOString(),
     room: roomName,
     mentions: [],
-    metadata: { type: 'join' }
+    metadata
   };
   
-  messages.get(roomName).push(joinMessage);
-  
-  // Persist message to database
-  db.run(
-    "INSERT INTO messages (id, room, agent_id, agent_name, content, type, mentions, metadata, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
-    [joinMessage.id, roomName, null, 'System', joinMessage.content, joinMessage.type, JSON.stringify(joinMessage.mentions), JSON.stringify(joinMessage.metadata), joinMessage.timestamp]
-  );
-  
-  io.to(roomName).emit('message', joinMessage);
-  
-  logger.info(`Agent ${agentName} (${agentId}) joined room ${roomName}`);
-  
-  res.json({
-    success: true,
-    roomName,
-    agentId,
-    currentAgents: Array.from(room.agents).map(id => agents.get(id))
-  });
-});
+  recordMessage(message);
+  io.to(roomName).emit('message', message);
+  return message;
+}
 
-app.post('/api/leave/:agentId', (req, res) => {
-  const { agentId } = req.params;
-  const agent = agents.get(agentId);
-  
-  if (!agent) {
-    return res.status(404).json({ success: false, error: 'Agent not found' });
+// Take an agent out of its room, e.g. when it leaves or times out. An agent
+// moving to another room keeps its tokens, since the join just issued one.
+function removeAgent(agent, reason, announcement, { revoke = true } = {}) {
+  rooms.get(agent.room)?.agents.delete(agent.id);
+  agents.delete(agent.id);
+  if (revoke) {
+    revokeTokens(agent.id);
   }
   
-  const room = rooms.get(agent.room);
-  if (room) {
-    room.agents.delete(agentId);
-    
-    const leaveMessage = {
-      id: uuidv4(),
-      type: 'system',
-      content: `${agent.name} has left the room`,
-      timestamp: new Date().toISOString(),
-      room: agent.room
-    };
-    
-    messages.get(agent.room).push(leaveMessage);
-    io.to(agent.room).emit('message', leaveMessage);
+  db.run("UPDATE agents SET status = ?, last_active = ? WHERE id = ?", [reason, agent.lastActive, agent.id]);
+  
+  if (agent.socketId) {
+    io.sockets.sockets.get(agent.socketId)?.leave(agent.room);
   }
   
-  agents.delete(agentId);
-  res.json({ success: true });
-});
+  postSystemMessage(agent.room, announcement, { type: reason, agentId: agent.id });
+  logger.info(`Agent ${agent.name} (${agent.id}) removed from ${agent.room}: ${reason}`);
+}
 
-app.post('/api/send', (req, res) => {
-  const { agentId, content, metadata = {} } = req.body;
-  const agent = agents.get(agentId);
+// Mark an agent as seen, bringing it back online if it had timed out
+function touchAgent(agent) {
+  agent.lastActive = new Date().toISOString();
+  db.run("UPDATE agents SET last_active = ? WHERE id = ?", [agent.lastActive, agent.id]);
   
-  if (!agent) {
-    return res.status(404).json({ success: false, error: 'Agent not found' });
+  if (agent.timedOut) {
+    agent.timedOut = false;
+    setAgentStatus(agent, agent.statusBeforeTimeout || 'online', agent.statusMessage);
   }
+}
+
+// Change an agent's presence, persist it and tell the room
+function setAgentStatus(agent, status, statusMessage = null) {
+  const previousStatus = agent.status;
+  agent.status = status;
+  agent.statusMessage = statusMessage;
   
-  // Parse mentions from content
-  const mentions = parseMentions(content);
-  
-  const message = {
-    id: uuidv4(),
-    type: 'message',
-    agentId,
-    agentName: agent.name,
-    content,
-    mentions,
-    metadata,
-    timestamp: new Date().toISOString(),
-    room: agent.room
-  };
-  
-  messages.get(agent.room).push(message);
-  
-  // Persist message to database
   db.run(
-    "INSERT INTO messages (id, room, agent_id, agent_name, content, type, mentions, metadata, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
-    [message.id, agent.room, agentId, agent.name, content, message.type, JSON.stringify(mentions), JSON.stringify(metadata), message.timestamp]
+    "UPDATE agents SET status = ?, status_message = ?, last_active = ? WHERE id = ?",
+    [status, statusMessage, agent.lastActive, agent.id]
   );
   
-  // Update agent last active time
-  agent.lastActive = new Date().toISOString();
-  db.run("UPDATE agents SET last_active = ? WHERE id = ?", [agent.lastActive, agentId]);
+  io.to(agent.room).emit('presence', {
+    agentId: agent.id,
+    agentName: agent.name,
+    status,
+    previousStatus,
+    statusMessage,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Mark agents without a live socket offline after the grace period and
+// evict them once the eviction timeout passes. Until then a reconnecting
+// agent can re-register and resume its identity.
+function sweepInactiveAgents() {
+  const now = Date.now();
   
-  // Create notifications for mentions
-  if (mentions.length > 0) {
-    createNotifications(message, mentions);
+  for (const agent of agents.values()) {
+    if (agent.socketId) continue;
+    
+    const lastSeen = Math.max(
+      new Date(agent.lastActive).getTime(),
+      agent.disconnectedAt ? new Date(agent.disconnectedAt).getTime() : 0
+    );
+    const idle = now - lastSeen;
+    
+    if (idle > AGENT_EVICTION_TIMEOUT) {
+      removeAgent(agent, 'timed_out', `${agent.name} timed out`);
+    } else if (idle > AGENT_GRACE_PERIOD && !agent.timedOut) {
+      agent.timedOut = true;
+      agent.statusBeforeTimeout = agent.status;
+      setAgentStatus(agent, 'offline', agent.statusMessage);
+      logger.info(`Agent ${agent.name} (${agent.id}) marked offline after ${Math.round(idle / 1000)}s without a connection`);
+    }
   }
+}
+
+// Read a secret from the environment, or from a file in DATA_DIR that is
+// generated on first start so tokens survive restarts
+async function loadOrCreateSecret(envValue, fileName) {
+  if (envValue) return envValue;
   
-  io.to(agent.room).emit('message', message);
-  
-  logger.info(`Message sent by ${agent.name} in ${agent.room}${mentions.length > 0 ? ` with mentions: ${mentions.join(', ')}` : ''}`);
+  const filePath = path.join(DATA_DIR, fileName);
+  try {
+    return (await fs.readFile(filePath, 'utf-8')).trim();
+  } catch {
+    const secret = crypto.randomBytes(32).toString('hex');
+    await fs.writeFile(filePath, secret, { mode: 0o600 });
+    logger.info(`Generated ${fileName} in ${DATA_DIR}`);
+    return secret;
+  }
+}
+
+async function loadSecrets() {
+  hubSecret = await loadOrCreateSecret(process.env.HUB_SECRET, 'hub.secret');
+  adminKey = await loadOrCreateSecret(process.env.HUB_ADMIN_KEY, 'admin.key');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Tokens are base64url(JSON payload) + '.' + HMAC-SHA256 signature
+function issueToken(agentId) {
+  // Always newer than the agent's last revocation, even within the same millisecond
+  const iat = Math.max(Date.now(), (tokensRevokedAt.get(agentId) || 0) + 1);
+  const payload = Buffer.from(JSON.stringify({ agentId, iat })).toString('base64url');
+  const signature = crypto.createHmac('sha256', hubSecret).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+// Returns the token payload, or null if the token is malformed, forged,
+// older than TOKEN_TTL or issued before its agent last left
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+  
+  const expected = crypto.createHmac('sha256', hubSecret).update(payload).digest('base64url');
+  if (!safeEqual(signature, expected)) return null;
+  
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+  } catch {
+    return null;
+  }
+  
+  if (!Number.isFinite(claims.iat) || Date.now() - claims.iat > TOKEN_TTL) return null;
+  if (claims.iat <= (tokensRevokedAt.get(claims.agentId) || 0)) return null;
+  return claims;
+}
+
+// Invalidate every token issued to an agent so far
+function revokeTokens(agentId) {
+  const revokedAt = Date.now();
+  tokensRevokedAt.set(agentId, revokedAt);
+  db.run("UPDATE agents SET tokens_revoked_at = ? WHERE id = ?", [revokedAt, agentId]);
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+function hashCredential(credential) {
+  return crypto.createHash('sha256').update(String(credential)).digest('hex');
+}
+
+// Whether the join request proves it owns agentId, by the credential issued
+// on that agent's first join or by a token already issued to it
+function ownsAgentId(req, agentId) {
+  const identity = identities.get(agentId);
+  const { credential } = req.body;
+  if (identity && credential && safeEqual(hashCredential(credential), identity.credentialHash)) {
+    return true;
+  }
+  return verifyToken(bearerToken(req))?.agentId === agentId;
+}
+
+// Record a new agent identity and return the credential it must present to rejoin
+function issueCredential(agentId, agentName) {
+  const credential = crypto.randomBytes(32).toString('hex');
+  const now = new Date().toISOString();
+  identities.set(agentId, { name: agentName, credentialHash: hashCredential(credential) });
+  db.run(
+    "INSERT INTO agent_identities (agent_id, name, credential_hash, created_at, last_seen) VALUES (?, ?, ?, ?, ?)",
+    [agentId, agentName, hashCredential(credential), now, now]
+  );
+  return credential;
+}
+
+function isAdminRequest(req) {
+  const key = req.headers['x-admin-key'];
+  return Boolean(key) && safeEqual(key, adminKey);
+}
+
+// Identify the caller of every /api route except join. Sets req.auth to
+// { isAdmin, agent } or rejects the request with 401.
+function authenticate(req, res, next) {
+  if (req.method === 'POST' && req.path.startsWith('/join/')) {
+    return next();
+  }
+  
+  if (isAdminRequest(req)) {
+    req.auth = { isAdmin: true, agent: null };
+    return next();
+  }
+  
+  const payload = verifyToken(bearerToken(req));
+  if (!payload) {
+    return res.status(401).json({ success: false, error: 'Missing or invalid token' });
+  }
+  
+  const agent = agents.get(payload.agentId);
+  if (!agent) {
+    return res.status(401).json({ success: false, error: 'Session expired, join the room again' });
+  }
+  
+  // Agents that only use HTTP have no socket, so their requests are what
+  // keeps them from being swept as inactive
+  touchAgent(agent);
+  req.auth = { isAdmin: false, agent };
+  next();
+}
+
+// The admin may act anywhere; agents only in their own room / as themselves
+function canAccessRoom(req, roomName) {
+  return req.auth.isAdmin || req.auth.agent.room === roomName;
+}
+
+function isSelf(req, agentId) {
+  return req.auth.isAdmin || req.auth.agent.id === agentId;
+}
+
+// Direct messages are only visible to their sender and recipient
+function canSeeMessage(req, message) {
+  return !message.recipientId || isSelf(req, message.agentId) || isSelf(req, message.recipientId);
+}
+
+// SQL equivalent of canSeeMessage for one agent; takes the agent ID twice
+const VISIBLE_TO_AGENT = "(m.recipient_id IS NULL OR m.agent_id = ? OR m.recipient_id = ?)";
+
+// Messages an agent hasn't read: after its cursor, not its own, not deleted.
+// Takes room followed by the agent ID four times.
+const UNREAD_MESSAGES = `FROM messages m
+  WHERE m.room = ?
+    AND m.rowid > COALESCE((SELECT seq FROM read_cursors WHERE agent_id = ? AND room = m.room), 0)
+    AND ${VISIBLE_TO_AGENT}
+    AND (m.agent_id IS NULL OR m.agent_id != ?)
+    AND m.deleted_at IS NULL`;
+
+// The agent whose cursor a request reads: the caller, or the one the admin names
+function readerOf(req) {
+  return req.auth.agent || agents.get(req.body?.agentId || req.query.agentId);
+}
+
+// Page cursors are opaque to clients; internally they wrap messages.rowid
+function encodeCursor(seq) {
+  return Buffer.from(`m:${seq}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const match = /^m:(\d+)$/.exec(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+  return match ? parseInt(match[1]) : null;
+}
+
+// Move an agent's cursor forward (never back) to a message
+function advanceCursor(agentId, room, messageId, seq, callback) {
+  db.run(
+    `INSERT INTO read_cursors (agent_id, room, message_id, seq, updated_at) VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT (agent_id, room) DO UPDATE SET message_id = excluded.message_id, seq = excluded.seq, updated_at = excluded.updated_at
+     WHERE excluded.seq > read_cursors.seq`,
+    [agentId, room, messageId, seq, new Date().toISOString()],
+    callback
+  );
+}
+
+// Role-based permissions. An agent's role comes from capabilities.role and
+// rooms can redefine what each role may do through settings.roles.
+const PERMISSIONS = [
+  'send_messages',
+  'broadcast',
+  'create_tasks',
+  'assign_tasks',
+  'update_tasks',
+  'comment',
+  'delete_tasks',
+  'delete_messages',
+  'redact_messages',
+  'read_agent_memory',
+  'write_room_memory',
+  'monitor',
+  'manage_room'
+];
+
+const DEFAULT_ROLE = 'worker';
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  orchestrator: PERMISSIONS,
+  worker: ['send_messages', 'create_tasks', 'update_tasks', 'comment', 'write_room_memory'],
+  observer: []
+};
+
+// Roles that can only be claimed by joining with the admin key
+const DEFAULT_RESTRICTED_ROLES = ['orchestrator'];
+
+function roleOf(agent) {
+  return agent.capabilities?.role || DEFAULT_ROLE;
+}
+
+// Prototype-less, so a role named 'constructor' or '__proto__' is just an unknown role
+function roomRoles(roomName) {
+  return Object.assign(Object.create(null), DEFAULT_ROLE_PERMISSIONS, rooms.get(roomName)?.settings?.roles);
+}
+
+function isKnownRole(roomName, role) {
+  return typeof role === 'string' && Array.isArray(roomRoles(roomName)[role]);
+}
+
+function restrictedRoles(roomName) {
+  return rooms.get(roomName)?.settings?.restrictedRoles || DEFAULT_RESTRICTED_ROLES;
+}
+
+// Roles without a permission set of their own (e.g. 'reviewer', used only for
+// task routing) get the default role's permissions. Agents that declare
+// capabilities.permissions are limited to those, never granted more.
+function agentPermissions(agent) {
+  const roles = roomRoles(agent.room);
+  const role = roleOf(agent);
+  const granted = (isKnownRole(agent.room, role) ? roles[role] : roles[DEFAULT_ROLE]) || [];
+  const requested = agent.capabilities?.permissions;
+  return Array.isArray(requested) ? granted.filter(p => requested.includes(p)) : granted;
+}
+
+function hasPermission(req, permission) {
+  return req.auth.isAdmin || agentPermissions(req.auth.agent).includes(permission);
+}
+
+function permissionError(agent, permission) {
+  return `Role '${roleOf(agent)}' does not have the '${permission}' permission in room ${agent.room}`;
+}
+
+function denyPermission(req, res, permission) {
+  return res.status(403).json({
+    success: false,
+    error: permissionError(req.auth.agent, permission),
+    permission
+  });
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req, permission)) {
+      return denyPermission(req, res, permission);
+    }
+    next();
+  };
+}
+
+// Returns an error message for invalid role settings, or null
+function validateRoleSettings({ roles, restrictedRoles }) {
+  if (roles !== undefined) {
+    if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+      return 'roles must map role names to permission lists';
+    }
+
+    for (const [role, permissions] of Object.entries(roles)) {
+      if (!Array.isArray(permissions)) {
+        return `Permissions for role '${role}' must be an array`;
+      }
+
+      const unknown = permissions.filter(p => !PERMISSIONS.includes(p));
+      if (unknown.length > 0) {
+        return `Unknown permissions for role '${role}': ${unknown.join(', ')}`;
+      }
+    }
+  }
+
+  if (restrictedRoles !== undefined && !(Array.isArray(restrictedRoles) && restrictedRoles.every(r => typeof r === 'string'))) {
+    return 'restrictedRoles must be an array of role names';
+  }
+
+  return null;
+}
+
+// HTTP API Endpoints
+app.use('/api', authenticate);
+
+app.post('/api/join/:room', (req, res) => {
+  const { room: roomName } = req.params;
+  const { agentId, agentName, capabilities = {}, keepIdentity = false } = req.body;
+  
+  if (!agentId || !agentName) {
+    return res.status(400).json({ success: false, error: 'agentId and agentName are required' });
+  }
+  
+  if (process.env.HUB_JOIN_KEY && !isAdminRequest(req) && !safeEqual(req.headers['x-join-key'] || '', process.env.HUB_JOIN_KEY)) {
+    return res.status(401).json({ success: false, error: 'Join key required' });
+  }
+  
+  // A known identity can only be used by whoever holds its credential or
+  // token, and an active agent ID can't be taken over by anyone else
+  const owner = isAdminRequest(req) || ownsAgentId(req, agentId);
+  if (identities.has(agentId) && !owner) {
+    return res.status(401).json({ success: false, error: 'Invalid agent credential' });
+  }
+  
+  if (agents.has(agentId) && !owner) {
+    return res.status(409).json({ success: false, error: 'Agent ID is already in use' });
+  }
+  
+  const role = roleOf({ capabilities });
+  if (restrictedRoles(roomName).includes(role) && !isAdminRequest(req)) {
+    return res.status(403).json({ success: false, error: `Role '${role}' requires the admin key` });
+  }
+  
+  const agent = {
+    id: agentId,
+    name: agentName,
+    room: roomName,
+    capabilities,
+    joinedAt: new Date().toISOString(),
+    lastActive: new Date().toISOString(),
+    socketId: null,
+    status: 'online',
+    statusMessage: null
+  };
+  
+  // Rejoining elsewhere leaves the room the agent was last in. Serialized so
+  // the old row is marked left before the new one replaces it.
+  const previous = agents.get(agentId);
+  db.serialize(() => {
+    if (previous && previous.room !== roomName) {
+      removeAgent(previous, 'left', `${previous.name} has left the room`, { revoke: false });
+    }
+    
+    db.run(
+      "INSERT OR REPLACE INTO agents (id, name, room, capabilities, joined_at, last_active, status, tokens_revoked_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+      [agentId, agentName, roomName, JSON.stringify(capabilities), agent.joinedAt, agent.lastActive, agent.status, tokensRevokedAt.get(agentId) ?? null]
+    );
+  });
+  
+  const room = getRoom(roomName);
+  room.agents.add(agentId);
+  agents.set(agentId, agent);
+  
+  // First-time members start reading from now; returning agents keep their cursor
+  db.run(
+    "INSERT OR IGNORE INTO read_cursors (agent_id, room, message_id, seq, updated_at) SELECT ?, ?, id, rowid, ? FROM messages WHERE room = ? ORDER BY rowid DESC LIMIT 1",
+    [agentId, roomName, agent.joinedAt, roomName]
+  );
+  
+  // The credential is only handed out once, on the identity's first join, and
+  // only to clients that store it to rejoin with (keepIdentity). Throwaway IDs
+  // such as a CLI session's don't leave an identity behind.
+  let credential;
+  if (identities.has(agentId)) {
+    identities.get(agentId).name = agentName;
+    db.run("UPDATE agent_identities SET name = ?, last_seen = ? WHERE agent_id = ?", [agentName, agent.joinedAt, agentId]);
+  } else if (keepIdentity) {
+    credential = issueCredential(agentId, agentName);
+  }
+  
+  postSystemMessage(roomName, `${agentName} has joined the room`, { type: 'join' });
+  claimAssignedTasks(agent);
+  
+  logger.info(`Agent ${agentName} (${agentId}) joined room ${roomName}`);
+  
+  res.json({
+    success: true,
+    roomName,
+    agentId,
+    token: issueToken(agentId),
+    tokenExpiresIn: TOKEN_TTL / 1000,
+    ...(credential && { credential }),
+    role,
+    permissions: agentPermissions(agent),
+    currentAgents: Array.from(room.agents).map(id => agents.get(id))
+  });
+});
+
+// Swap a token that hasn't expired yet for a fresh one, so long sessions outlive
+// TOKEN_TTL. The admin may renew the token of any active agent it names.
+app.post('/api/token', (req, res) => {
+  const agent = req.auth.agent || agents.get(req.body?.agentId);
+  if (!agent) {
+    return res.status(404).json({ success: false, error: 'Agent not found' });
+  }
+  
+  res.json({ success: true, token: issueToken(agent.id), tokenExpiresIn: TOKEN_TTL / 1000 });
+});
+
+app.post('/api/leave/:agentId', (req, res) => {
+  const { agentId } = req.params;
+  const agent = agents.get(agentId);
+  
+  if (!isSelf(req, agentId)) {
+    return res.status(403).json({ success: false, error: 'Agents can only remove themselves' });
+  }
+  
+  if (!agent) {
+    return res.status(404).json({ success: false, error: 'Agent not found' });
+  }
+  
+  removeAgent(agent, 'left', `${agent.name} has left the room`);
+  res.json({ success: true });
+});
+
+app.post('/api/send', requirePermission('send_messages'), (req, res) => {
+  const { content, metadata = {}, replyTo = null } = req.body;
+  const agentId = req.body.agentId || req.auth.agent?.id;
+  const agent = agents.get(agentId);
+  
+  if (!isSelf(req, agentId)) {
+    return res.status(403).json({ success: false, error: 'Cannot send messages as another agent' });
+  }
+  
+  if (!agent) {
+    return res.status(404).json({ success: false, error: 'Agent not found' });
+  }
+  
+  const sendMessage = (parent) => {
+    // Parse mentions from content
+    const mentions = parseMentions(content);
+    
+    const message = {
+      id: uuidv4(),
+      type: 'message',
+      agentId,
+      agentName: agent.name,
+      content,
+      mentions,
+      metadata,
+      timestamp: new Date().toISOString(),
+      room: agent.room,
+      // Replies to a reply join the original thread
+      ...(parent && { replyTo: parent.id, threadId: parent.threadId || parent.id })
+    };
+    
+    recordMessage(message);
+    
+    // Update agent last active time
+    touchAgent(agent);
+    
+    // Create notifications for mentions
+    if (mentions.length > 0) {
+      createNotifications(message, mentions);
+    }
+    
+    io.to(agent.room).emit('message', message);
+    
+    logger.info(`Message sent by ${agent.name} in ${agent.room}${mentions.length > 0 ? ` with mentions: ${mentions.join(', ')}` : ''}`);
+    
+    res.json({ success: true, messageId: message.id, threadId: message.threadId || null, mentions });
+  };
+  
+  if (!replyTo) {
+    return sendMessage(null);
+  }
+  
+  findMessage(agent.room, replyTo, (err, parent) => {
+    if (err) {
+      logger.error('Failed to look up parent message:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    if (!parent || !canSeeMessage(req, parent)) {
+      return res.status(404).json({ success: false, error: 'Message to reply to not found in this room' });
+    }
+    
+    sendMessage(parent);
+  });
+});
+
+app.post('/api/dm', requirePermission('send_messages'), (req, res) => {
+  const { to, content, metadata = {} } = req.body;
+  const agentId = req.body.agentId || req.auth.agent?.id;
+  const agent = agents.get(agentId);
+  
+  if (!isSelf(req, agentId)) {
+    return res.status(403).json({ success: false, error: 'Cannot send messages as another agent' });
+  }
+  
+  if (!agent) {
+    return res.status(404).json({ success: false, error: 'Agent not found' });
+  }
+  
+  if (!to || !content) {
+    return res.status(400).json({ success: false, error: 'to and content are required' });
+  }
+  
+  // Recipients are addressed by name or ID and must share the sender's room
+  const recipient = agents.get(to) || findAgentByName(to, agent.room);
+  if (!recipient || recipient.room !== agent.room) {
+    return res.status(404).json({ success: false, error: `No agent named ${to} in room ${agent.room}` });
+  }
+  
+  const message = {
+    id: uuidv4(),
+    type: 'direct',
+    agentId,
+    agentName: agent.name,
+    recipientId: recipient.id,
+    recipientName: recipient.name,
+    content,
+    mentions: [],
+    metadata,
+    timestamp: new Date().toISOString(),
+    room: agent.room
+  };
+  
+  recordMessage(message);
+  touchAgent(agent);
+  
+  // Offline recipients find it in their notifications when they return
+  storeNotification({
+    id: uuidv4(),
+    agent_id: recipient.id,
+    room: agent.room,
+    message: `${agent.name} sent you a direct message: ${content.substring(0, 100)}`,
+    type: 'direct',
+    created_at: message.timestamp
+  });
+  
+  if (recipient.socketId) {
+    io.to(recipient.socketId).emit('message', message);
+  }
+  
+  logger.info(`Direct message sent by ${agent.name} to ${recipient.name} in ${agent.room}`);
   
-  res.json({ success: true, messageId: message.id, mentions });
+  res.json({ success: true, messageId: message.id, recipient: recipient.name, delivered: Boolean(recipient.socketId) });
 });
 
 app.get('/api/messages/:room', (req, res) => {
   const { room } = req.params;
-  const { since, limit = 100 } = req.query;
+  const { since, before, after } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  
+  if (!canAccessRoom(req, room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  const beforeSeq = before ? decodeCursor(before) : null;
+  const afterSeq = after ? decodeCursor(after) : null;
+  if ((before && beforeSeq === null) || (after && afterSeq === null)) {
+    return res.status(400).json({ success: false, error: 'Invalid cursor' });
+  }
+  
+  if (since && isNaN(new Date(since).getTime())) {
+    return res.status(400).json({ success: false, error: 'since must be a valid timestamp' });
+  }
+  
+  let sql = "SELECT m.*, m.rowid AS seq FROM messages m WHERE m.room = ?";
+  const params = [room];
+  
+  if (!req.auth.isAdmin) {
+    sql += ` AND ${VISIBLE_TO_AGENT}`;
+    params.push(req.auth.agent.id, req.auth.agent.id);
+  }
+  
+  if (since) {
+    sql += " AND m.timestamp > ?";
+    params.push(new Date(since).toISOString());
+  }
+  
+  if (beforeSeq !== null) {
+    sql += " AND m.rowid < ?";
+    params.push(beforeSeq);
+  }
+  
+  if (afterSeq !== null) {
+    sql += " AND m.rowid > ?";
+    params.push(afterSeq);
+  }
+  
+  // Page forwards from an `after` cursor, otherwise backwards from the newest
+  // message. rowid keeps the order stable when timestamps are equal; one
+  // extra row tells us whether there is another page.
+  sql += ` ORDER BY m.rowid ${afterSeq !== null ? 'ASC' : 'DESC'} LIMIT ?`;
+  params.push(limit + 1);
+  
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      logger.error('Failed to retrieve messages:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    if (afterSeq === null) page.reverse();
+    
+    const roomMessages = page.map(rowToMessage);
+    
+    loadReactions(roomMessages.map(m => m.id), (err, reactions) => {
+      if (err) {
+        logger.error('Failed to load message reactions:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      
+      res.json({
+        success: true,
+        messages: roomMessages.map(m => reactions.has(m.id) ? { ...m, reactions: reactions.get(m.id) } : m),
+        hasMore,
+        // Older messages: ?before=prevCursor, newer messages: ?after=nextCursor
+        prevCursor: page.length > 0 ? encodeCursor(page[0].seq) : before || null,
+        nextCursor: page.length > 0 ? encodeCursor(page[page.length - 1].seq) : after || null
+      });
+    });
+  });
+});
+
+app.get('/api/messages/:room/unread', (req, res) => {
+  const { room } = req.params;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const markRead = req.query.markRead === 'true';
+  const reader = readerOf(req);
+  
+  if (!canAccessRoom(req, room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  if (!reader) {
+    return res.status(400).json({ success: false, error: 'agentId is required with the admin key' });
+  }
+  
+  db.all(
+    `SELECT m.*, m.rowid AS seq, COUNT(*) OVER () AS total ${UNREAD_MESSAGES} ORDER BY m.rowid ASC LIMIT ?`,
+    [room, reader.id, reader.id, reader.id, reader.id, limit],
+    (err, rows) => {
+      if (err) {
+        logger.error('Failed to retrieve unread messages:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      
+      const total = rows.length > 0 ? rows[0].total : 0;
+      const unread = rows.map(rowToMessage);
+      const last = rows[rows.length - 1];
+      
+      const respond = () => loadReactions(unread.map(m => m.id), (err, reactions) => {
+        if (err) {
+          logger.error('Failed to load message reactions:', err);
+          return res.status(500).json({ success: false, error: 'Database error' });
+        }
+        
+        res.json({
+          success: true,
+          messages: unread.map(m => reactions.has(m.id) ? { ...m, reactions: reactions.get(m.id) } : m),
+          unreadCount: markRead ? total - rows.length : total,
+          hasMore: total > rows.length,
+          markedRead: Boolean(markRead && last)
+        });
+      });
+      
+      if (!markRead || !last) {
+        return respond();
+      }
+      
+      // Only mark what was returned, so callers can page through a backlog
+      advanceCursor(reader.id, room, last.id, last.seq, (err) => {
+        if (err) {
+          logger.error('Failed to update read cursor:', err);
+          return res.status(500).json({ success: false, error: 'Database error' });
+        }
+        
+        emitReadReceipt(reader, room, last.id);
+        respond();
+      });
+    }
+  );
+});
+
+app.post('/api/messages/:room/read', (req, res) => {
+  const { room } = req.params;
+  const { messageId } = req.body;
+  const reader = readerOf(req);
+  
+  if (!canAccessRoom(req, room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  if (!reader) {
+    return res.status(400).json({ success: false, error: 'agentId is required with the admin key' });
+  }
+  
+  // Without a messageId, everything in the room so far counts as read. DMs
+  // between other agents are skipped, so their IDs can't be probed or
+  // end up in read receipts.
+  const [sql, params] = messageId
+    ? [`SELECT m.id, m.rowid AS seq FROM messages m WHERE m.id = ? AND m.room = ? AND ${VISIBLE_TO_AGENT}`, [messageId, room, reader.id, reader.id]]
+    : [`SELECT m.id, m.rowid AS seq FROM messages m WHERE m.room = ? AND ${VISIBLE_TO_AGENT} ORDER BY m.rowid DESC LIMIT 1`, [room, reader.id, reader.id]];
+  
+  db.get(sql, params, (err, target) => {
+    if (err) {
+      logger.error('Failed to look up message:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    if (!target) {
+      return res.status(404).json({ success: false, error: messageId ? 'Message not found' : 'Room has no messages' });
+    }
+    
+    advanceCursor(reader.id, room, target.id, target.seq, (err) => {
+      if (err) {
+        logger.error('Failed to update read cursor:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      
+      emitReadReceipt(reader, room, target.id);
+      touchAgent(reader);
+      
+      res.json({ success: true, room, messageId: target.id });
+    });
+  });
+});
+
+// Where every agent's read cursor sits, for read receipts
+app.get('/api/messages/:room/receipts', (req, res) => {
+  const { room } = req.params;
+  
+  if (!canAccessRoom(req, room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  db.all(
+    `SELECT c.agent_id, c.message_id, c.updated_at, a.name AS agent_name
+     FROM read_cursors c LEFT JOIN agents a ON a.id = c.agent_id
+     WHERE c.room = ? ORDER BY c.seq DESC`,
+    [room],
+    (err, rows) => {
+      if (err) {
+        logger.error('Failed to retrieve read receipts:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      
+      res.json({
+        success: true,
+        receipts: rows.map(row => ({
+          agentId: row.agent_id,
+          agentName: row.agent_name,
+          messageId: row.message_id,
+          readAt: row.updated_at
+        }))
+      });
+    }
+  );
+});
+
+app.get('/api/messages/:room/thread/:messageId', (req, res) => {
+  const { room, messageId } = req.params;
+  
+  if (!canAccessRoom(req, room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  findMessage(room, messageId, (err, message) => {
+    if (err) {
+      logger.error('Failed to look up message:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    if (!message || !canSeeMessage(req, message)) {
+      return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+    
+    // Any message in a thread leads to the whole thread
+    const threadId = message.threadId || message.id;
+    
+    db.all(
+      "SELECT * FROM messages WHERE room = ? AND (id = ? OR thread_id = ?) ORDER BY timestamp ASC, rowid ASC",
+      [room, threadId, threadId],
+      (err, rows) => {
+        if (err) {
+          logger.error('Failed to retrieve thread:', err);
+          return res.status(500).json({ success: false, error: 'Database error' });
+        }
+        
+        const thread = rows.map(rowToMessage).filter(m => canSeeMessage(req, m));
+        const root = thread.find(m => m.id === threadId) || null;
+        
+        res.json({
+          success: true,
+          threadId,
+          root,
+          replies: thread.filter(m => m.id !== threadId)
+        });
+      }
+    );
+  });
+});
+
+// Load :messageId from :room into req.message if the caller may see it
+function loadMessage(req, res, next) {
+  const { room, messageId } = req.params;
+  
+  if (!canAccessRoom(req, room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  findMessage(room, messageId, (err, message) => {
+    if (err) {
+      logger.error('Failed to look up message:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    if (!message || !canSeeMessage(req, message)) {
+      return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+    
+    req.message = message;
+    next();
+  });
+}
+
+// Who is editing: the calling agent, or the agent the admin acts for
+function actorOf(req) {
+  const agent = req.auth.agent || agents.get(req.body?.agentId);
+  return agent ? { id: agent.id, name: agent.name } : { id: null, name: 'admin' };
+}
+
+app.put('/api/messages/:room/:messageId', loadMessage, (req, res) => {
+  const { content } = req.body;
+  const message = req.message;
+  
+  if (!isSelf(req, message.agentId)) {
+    return res.status(403).json({ success: false, error: 'Only the author can edit a message' });
+  }
+  
+  if (message.deletedAt) {
+    return res.status(409).json({ success: false, error: 'Message has been deleted' });
+  }
+  
+  if (!content) {
+    return res.status(400).json({ success: false, error: 'content is required' });
+  }
+  
+  const previousMentions = message.mentions || [];
+  
+  reviseMessage(message, { action: 'edit', content, actor: actorOf(req) }, (err) => {
+    if (err) {
+      logger.error('Failed to edit message:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    // Only notify agents who weren't already mentioned
+    const added = message.mentions.filter(name => !previousMentions.includes(name));
+    if (added.length > 0 && !message.recipientId) {
+      createNotifications(message, added);
+    }
+    
+    emitMessageEvent(message, 'message_updated', { action: 'edited', message });
+    
+    logger.info(`Message ${message.id} edited in ${message.room}`);
+    
+    res.json({ success: true, message });
+  });
+});
+
+app.delete('/api/messages/:room/:messageId', loadMessage, (req, res) => {
+  const message = req.message;
+  
+  // Authors may delete their own messages; moderators anyone's
+  if (!isSelf(req, message.agentId) && !hasPermission(req, 'delete_messages')) {
+    return denyPermission(req, res, 'delete_messages');
+  }
+  
+  if (message.deletedAt) {
+    return res.status(409).json({ success: false, error: 'Message has already been deleted' });
+  }
+  
+  const actor = actorOf(req);
+  
+  reviseMessage(message, { action: 'delete', actor, reason: req.body?.reason }, (err) => {
+    if (err) {
+      logger.error('Failed to delete message:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    emitMessageEvent(message, 'message_deleted', { messageId: message.id, room: message.room, deletedBy: actor.name });
+    
+    logger.info(`Message ${message.id} deleted in ${message.room} by ${actor.name}`);
+    
+    res.json({ success: true, messageId: message.id });
+  });
+});
+
+// Redaction removes content from the message and its whole revision history,
+// for secrets that must not survive anywhere on the hub
+app.post('/api/messages/:room/:messageId/redact', loadMessage, (req, res) => {
+  const message = req.message;
+  
+  if (!isSelf(req, message.agentId) && !hasPermission(req, 'redact_messages')) {
+    return denyPermission(req, res, 'redact_messages');
+  }
+  
+  const actor = actorOf(req);
+  
+  reviseMessage(message, { action: 'redact', actor, reason: req.body?.reason }, (err) => {
+    if (err) {
+      logger.error('Failed to redact message:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    emitMessageEvent(message, 'message_updated', { action: 'redacted', message });
+    
+    logger.info(`Message ${message.id} redacted in ${message.room} by ${actor.name}`);
+    
+    res.json({ success: true, message });
+  });
+});
+
+app.post('/api/messages/:room/:messageId/reactions', requirePermission('send_messages'), loadMessage, (req, res) => {
+  const { reaction, remove = false } = req.body;
+  const message = req.message;
+  const agent = req.auth.agent || agents.get(req.body.agentId);
+  
+  if (!agent) {
+    return res.status(400).json({ success: false, error: 'agentId is required when reacting with the admin key' });
+  }
+  
+  if (typeof reaction !== 'string' || !reaction.trim() || reaction.length > 32) {
+    return res.status(400).json({ success: false, error: 'reaction must be a non-empty string of at most 32 characters' });
+  }
+  
+  if (message.deletedAt) {
+    return res.status(409).json({ success: false, error: 'Message has been deleted' });
+  }
+  
+  const name = reaction.trim();
+  const sql = remove
+    ? "DELETE FROM message_reactions WHERE message_id = ? AND agent_id = ? AND reaction = ?"
+    : "INSERT OR IGNORE INTO message_reactions (message_id, room, agent_id, agent_name, reaction, created_at) VALUES (?, ?, ?, ?, ?, ?)";
+  const params = remove
+    ? [message.id, agent.id, name]
+    : [message.id, message.room, agent.id, agent.name, name, new Date().toISOString()];
+  
+  db.run(sql, params, function(err) {
+    if (err) {
+      logger.error('Failed to store reaction:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    const changed = this.changes > 0;
+    touchAgent(agent);
+    
+    loadReactions([message.id], (err, reactions) => {
+      if (err) {
+        logger.error('Failed to load message reactions:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      
+      const summary = reactions.get(message.id) || {};
+      
+      // Repeating a reaction, or removing one that isn't there, is a no-op
+      if (!changed) {
+        return res.json({ success: true, messageId: message.id, reactions: summary });
+      }
+      
+      emitMessageEvent(message, 'reaction', {
+        messageId: message.id,
+        room: message.room,
+        agentId: agent.id,
+        agentName: agent.name,
+        reaction: name,
+        action: remove ? 'removed' : 'added',
+        reactions: summary
+      });
+      
+      res.json({ success: true, messageId: message.id, reactions: summary });
+    });
+  });
+});
+
+app.get('/api/messages/:room/:messageId/reactions', loadMessage, (req, res) => {
+  loadReactions([req.message.id], (err, reactions) => {
+    if (err) {
+      logger.error('Failed to load message reactions:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    res.json({ success: true, message: req.message, reactions: reactions.get(req.message.id) || {} });
+  });
+});
+
+// Once a message is deleted, only its author and the admin can still read what it said
+app.get('/api/messages/:room/:messageId/revisions', loadMessage, (req, res) => {
+  const hideContent = Boolean(req.message.deletedAt) && !isSelf(req, req.message.agentId);
+  
+  db.all(
+    "SELECT * FROM message_revisions WHERE message_id = ? ORDER BY created_at ASC, rowid ASC",
+    [req.message.id],
+    (err, rows) => {
+      if (err) {
+        logger.error('Failed to retrieve message revisions:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      
+      res.json({
+        success: true,
+        message: req.message,
+        revisions: rows.map(row => ({
+          id: row.id,
+          action: row.action,
+          content: hideContent ? null : row.content,
+          actorId: row.actor_id,
+          actorName: row.actor_name,
+          reason: row.reason,
+          createdAt: row.created_at
+        }))
+      });
+    }
+  );
+});
+
+// Make % and _ match literally in a LIKE pattern that uses ESCAPE '\'
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+app.get('/api/messages/:room/search', (req, res) => {
+  const { room } = req.params;
+  const { query, agentName, type, mentioned, since, until } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+
+  if (!canAccessRoom(req, room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+
+  // A repeated parameter arrives as an array
+  if ([query, agentName, type, mentioned, since, until].some(value => value !== undefined && typeof value !== 'string')) {
+    return res.status(400).json({ success: false, error: 'query, agentName, type, mentioned, since and until can each be given only once' });
+  }
+
+  if ([since, until].some(t => t && isNaN(new Date(t).getTime()))) {
+    return res.status(400).json({ success: false, error: 'since and until must be valid timestamps' });
+  }
+
+  const ftsQuery = query ? toFtsQuery(query) : '';
+  const useFts = ftsEnabled && ftsQuery;
+
+  let sql = useFts
+    ? `SELECT m.*, snippet(messages_fts, 0, '[', ']', '…', 12) AS snippet, bm25(messages_fts) AS rank
+       FROM messages_fts CROSS JOIN messages m ON m.rowid = messages_fts.rowid
+       WHERE messages_fts MATCH ? AND m.room = ?`
+    : `SELECT m.*, 0 AS rank FROM messages m WHERE m.room = ?`;
+  const params = useFts ? [ftsQuery, room] : [room];
+
+  if (query && !useFts) {
+    sql += " AND m.content LIKE ? ESCAPE '\\'";
+    params.push(`%${escapeLike(query)}%`);
+  }
+
+  if (!req.auth.isAdmin) {
+    sql += ` AND ${VISIBLE_TO_AGENT}`;
+    params.push(req.auth.agent.id, req.auth.agent.id);
+  }
+
+  if (agentName) {
+    sql += " AND m.agent_name = ?";
+    params.push(agentName);
+  }
+
+  if (type) {
+    sql += " AND m.type = ?";
+    params.push(type);
+  }
+
+  if (mentioned) {
+    // mentions are stored as a JSON array of names
+    sql += " AND m.mentions LIKE ? ESCAPE '\\'";
+    params.push(`%${escapeLike(JSON.stringify(mentioned))}%`);
+  }
+
+  if (since) {
+    sql += " AND m.timestamp >= ?";
+    params.push(new Date(since).toISOString());
+  }
+
+  if (until) {
+    sql += " AND m.timestamp <= ?";
+    params.push(new Date(until).toISOString());
+  }
+
+  // FTS5 auxiliary functions can't sit next to a window function, so count in an outer query
+  sql = `SELECT *, COUNT(*) OVER () AS total FROM (${sql}) ORDER BY rank, timestamp DESC LIMIT ? OFFSET ?`;
+  params.push(limit, offset);
+
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      logger.error('Failed to search messages:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+
+    const total = rows.length > 0 ? rows[0].total : 0;
+    const results = rows.map(row => ({
+      ...rowToMessage(row),
+      ...(row.snippet && { snippet: row.snippet })
+    }));
+
+    res.json({
+      success: true,
+      messages: results,
+      total,
+      limit,
+      offset,
+      hasMore: offset + results.length < total
+    });
+  });
+});
+
+app.get('/api/rooms', (req, res) => {
+  const roomList = Array.from(rooms.entries()).map(([name, room]) => ({
+    name,
+    agentCount: room.agents.size,
+    agents: Array.from(room.agents).map(id => agents.get(id)).filter(Boolean),
+    createdAt: room.createdAt
+  }));
+  
+  // Agents get an unread count for the room they are in
+  const reader = readerOf(req);
+  const readerRoom = reader && roomList.find(room => room.name === reader.room);
+  if (!readerRoom) {
+    return res.json({ rooms: roomList });
+  }
+  
+  db.get(
+    `SELECT COUNT(*) AS unread ${UNREAD_MESSAGES}`,
+    [reader.room, reader.id, reader.id, reader.id, reader.id],
+    (err, row) => {
+      if (err) {
+        logger.error('Failed to count unread messages:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      
+      readerRoom.unreadCount = row.unread;
+      res.json({ rooms: roomList });
+    }
+  );
+});
+
+app.get('/api/rooms/:room/settings', (req, res) => {
+  const { room: roomName } = req.params;
+  const room = rooms.get(roomName);
+
+  if (!canAccessRoom(req, roomName)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+
+  if (!room) {
+    return res.status(404).json({ success: false, error: 'Room not found' });
+  }
+
+  res.json({
+    success: true,
+    settings: room.settings,
+    roles: roomRoles(roomName),
+    restrictedRoles: restrictedRoles(roomName),
+    availablePermissions: PERMISSIONS,
+    ...(req.auth.agent && {
+      role: roleOf(req.auth.agent),
+      permissions: agentPermissions(req.auth.agent)
+    })
+  });
+});
+
+app.put('/api/rooms/:room/settings', requirePermission('manage_room'), (req, res) => {
+  const { room: roomName } = req.params;
+  const { roles, restrictedRoles: restricted } = req.body;
+  const room = rooms.get(roomName);
+
+  if (!canAccessRoom(req, roomName)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+
+  if (!room) {
+    return res.status(404).json({ success: false, error: 'Room not found' });
+  }
+
+  const invalid = validateRoleSettings({ roles, restrictedRoles: restricted });
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+
+  const settings = { ...room.settings };
+  if (roles !== undefined) settings.roles = { ...settings.roles, ...roles };
+  if (restricted !== undefined) settings.restrictedRoles = restricted;
+
+  db.run("UPDATE rooms SET settings = ? WHERE name = ?", [JSON.stringify(settings), roomName], (err) => {
+    if (err) {
+      logger.error('Failed to update room settings:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+
+    room.settings = settings;
+    io.to(roomName).emit('room_settings', { room: roomName, settings });
+
+    logger.info(`Room ${roomName} settings updated`);
+
+    res.json({ success: true, settings, roles: roomRoles(roomName) });
+  });
+});
+
+app.get('/api/agents/:room', (req, res) => {
+  const { room: roomName } = req.params;
+  const room = rooms.get(roomName);
+  
+  if (!canAccessRoom(req, roomName)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  if (!room) {
+    return res.status(404).json({ success: false, error: 'Room not found' });
+  }
+  
+  const roomAgents = Array.from(room.agents)
+    .map(id => agents.get(id))
+    .filter(Boolean);
+  
+  res.json({ agents: roomAgents });
+});
+
+const AGENT_STATUSES = ['online', 'busy', 'away', 'offline'];
+
+app.put('/api/agents/:agentId/status', (req, res) => {
+  const { agentId } = req.params;
+  const { status, message = null } = req.body;
+  
+  if (!isSelf(req, agentId)) {
+    return res.status(403).json({ success: false, error: "Cannot change another agent's status" });
+  }
+  
+  const agent = agents.get(agentId);
+  if (!agent) {
+    return res.status(404).json({ success: false, error: 'Agent not found' });
+  }
+  
+  if (!AGENT_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${AGENT_STATUSES.join(', ')}` });
+  }
+  
+  agent.lastActive = new Date().toISOString();
+  agent.timedOut = false;
+  setAgentStatus(agent, status, message);
+  
+  logger.info(`Agent ${agent.name} status: ${status}${message ? ` (${message})` : ''}`);
+  
+  res.json({ success: true, agentId, status, statusMessage: message });
+});
+
+// Task endpoints
+const TASK_STATUSES = ['todo', 'in_progress', 'review', 'done', 'blocked'];
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+const TASK_SORTS = ['createdAt', 'updatedAt', 'priority', 'status', 'title', 'progress'];
+const TASK_FIELDS = ['title', 'description', 'assignee', 'priority', 'status', 'dependsOn', 'requiredSkills', 'progress', 'estimatedCompletion'];
+const PROGRESS_FIELDS = ['progress', 'estimatedCompletion'];
+
+// todo → in_progress → review → done, review can send work back, and anything can be blocked
+const TASK_TRANSITIONS = {
+  todo: ['in_progress', 'blocked'],
+  in_progress: ['review', 'blocked'],
+  review: ['done', 'in_progress', 'blocked'],
+  done: ['blocked'],
+  blocked: ['todo', 'in_progress', 'review']
+};
+
+// Appends to a task's timeline; values are stored as JSON so lists and nulls survive
+function recordTaskEvent(task, event, { from = null, to = null, actor = null, reason = null } = {}) {
+  db.run(
+    "INSERT INTO task_events (id, task_id, room, event, from_value, to_value, actor_id, actor_name, reason, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+    [uuidv4(), task.id, task.room, event, JSON.stringify(from), JSON.stringify(to), actor?.id || null, actor?.name || 'system', reason, new Date().toISOString()],
+    (err) => {
+      if (err) logger.error('Failed to record task event:', err);
+    }
+  );
+}
+
+function rowToTaskEvent(row) {
+  return {
+    id: row.id,
+    taskId: row.task_id,
+    event: row.event,
+    from: JSON.parse(row.from_value),
+    to: JSON.parse(row.to_value),
+    actorId: row.actor_id,
+    actor: row.actor_name,
+    reason: row.reason,
+    timestamp: row.created_at
+  };
+}
+
+// Picking up an unassigned task or dropping your own is always allowed;
+// any other change of assignee needs assign_tasks
+function canAssign(req, from, to) {
+  const self = req.auth.agent?.name;
+  if (from === to || hasPermission(req, 'assign_tasks')) return true;
+  return (to === self && !from) || (from === self && !to);
+}
+
+// Assignees may be given by name or agent ID; names nobody in the room has joined with stay free text
+function resolveAssignee(value, roomName) {
+  const agent = value ? agents.get(value) || findAgentByName(value, roomName) : null;
+  if (!agent || agent.room !== roomName) return { assignee: value || null, assigneeId: null };
+  return { assignee: agent.name, assigneeId: agent.id };
+}
+
+// Lower ranks get work first; offline agents get none
+const AVAILABILITY_RANK = { online: 0, busy: 1, away: 2 };
+
+function openTaskCount(agent) {
+  return Array.from(tasks.values())
+    .filter(t => t.status !== 'done' && (t.assigneeId === agent.id || t.assignee === agent.name))
+    .length;
+}
+
+// Candidates for assignee 'auto': workers (or agents with the given role) in the room that can
+// update tasks and hold every required skill, best first by availability, then open task
+// count, then who joined first
+function rankAssignees(roomName, requiredSkills = [], role = null) {
+  const wanted = requiredSkills.map(skill => skill.toLowerCase());
+  
+  return Array.from(rooms.get(roomName)?.agents || [])
+    .map(id => agents.get(id))
+    .filter(agent => agent && agent.status in AVAILABILITY_RANK)
+    .filter(agent => (role ? roleOf(agent) === role : roleOf(agent) !== 'orchestrator'))
+    .filter(agent => agentPermissions(agent).includes('update_tasks'))
+    .filter(agent => {
+      const skills = (agent.capabilities?.skills || []).map(skill => String(skill).toLowerCase());
+      return wanted.every(skill => skills.includes(skill));
+    })
+    .map(agent => ({ agent, openTasks: openTaskCount(agent) }))
+    .sort((a, b) =>
+      AVAILABILITY_RANK[a.agent.status] - AVAILABILITY_RANK[b.agent.status] ||
+      a.openTasks - b.openTasks ||
+      a.agent.joinedAt.localeCompare(b.agent.joinedAt)
+    );
+}
+
+function autoAssign(roomName, requiredSkills) {
+  const [best] = rankAssignees(roomName, requiredSkills);
+  if (!best) {
+    const skills = requiredSkills.length ? ` with skills: ${requiredSkills.join(', ')}` : '';
+    return { error: `No available agent in room ${roomName}${skills}` };
+  }
+  return { assignee: best.agent.name, assigneeId: best.agent.id };
+}
+
+// Sends task_assigned to the assignee's socket and keeps a notification for when they are offline
+function notifyAssignment(task, assignedBy) {
+  if (!task.assigneeId || task.assignee === assignedBy) return;
+  
+  const notification = {
+    id: uuidv4(),
+    agent_id: task.assigneeId,
+    room: task.room,
+    message: `${assignedBy} assigned you task "${task.title}" (${task.id})`,
+    type: 'task_assigned',
+    created_at: new Date().toISOString()
+  };
+  storeNotification(notification, { push: false });
+  
+  const agent = agents.get(task.assigneeId);
+  if (agent?.socketId) {
+    io.to(agent.socketId).emit('task_assigned', { ...task, notificationId: notification.id });
+  }
+}
+
+// Open tasks assigned by name before an agent joined are bound to it on join
+function claimAssignedTasks(agent) {
+  tasks.forEach(task => {
+    if (task.room !== agent.room || task.assignee !== agent.name) return;
+    if (task.assigneeId === agent.id || task.status === 'done') return;
+    
+    task.assigneeId = agent.id;
+    db.run("UPDATE tasks SET assignee_id = ? WHERE id = ?", [agent.id, task.id], (err) => {
+      if (err) logger.error('Failed to update task assignee:', err);
+    });
+    notifyAssignment(task, task.creator);
+  });
+}
+
+function validateTaskFields({ status, priority, progress, estimatedCompletion, requiredSkills }) {
+  if (status !== undefined && !TASK_STATUSES.includes(status)) {
+    return `status must be one of: ${TASK_STATUSES.join(', ')}`;
+  }
+  if (priority !== undefined && !TASK_PRIORITIES.includes(priority)) {
+    return `priority must be one of: ${TASK_PRIORITIES.join(', ')}`;
+  }
+  if (progress !== undefined && !(Number.isFinite(progress) && progress >= 0 && progress <= 100)) {
+    return 'progress must be a number from 0 to 100';
+  }
+  if (estimatedCompletion && isNaN(Date.parse(estimatedCompletion))) {
+    return 'estimatedCompletion must be an ISO 8601 date';
+  }
+  if (requiredSkills !== undefined && !(Array.isArray(requiredSkills) && requiredSkills.every(skill => typeof skill === 'string'))) {
+    return 'requiredSkills must be an array of strings';
+  }
+  return null;
+}
+
+// Per-room task rollup for /api/stats
+function taskRollup(roomName) {
+  const roomTasks = Array.from(tasks.values()).filter(t => t.room === roomName);
+  const byStatus = Object.fromEntries(TASK_STATUSES.map(status => [status, 0]));
+  const inFlightByAgent = {};
+  
+  roomTasks.forEach(task => {
+    byStatus[task.status] = (byStatus[task.status] || 0) + 1;
+    if (['in_progress', 'review'].includes(task.status) && task.assignee) {
+      inFlightByAgent[task.assignee] = (inFlightByAgent[task.assignee] || 0) + 1;
+    }
+  });
+  
+  const total = roomTasks.length;
+  const averageProgress = total ? Math.round(roomTasks.reduce((sum, t) => sum + t.progress, 0) / total) : 0;
+  
+  return {
+    total,
+    byStatus,
+    percentDone: total ? Math.round(byStatus.done / total * 100) : 0,
+    averageProgress,
+    inFlightByAgent
+  };
+}
+
+// Whether task waits on targetId, directly or through other dependencies
+function dependsOnTask(task, targetId, seen = new Set()) {
+  return task.dependsOn.some(id => {
+    if (id === targetId) return true;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    const dependency = tasks.get(id);
+    return dependency ? dependsOnTask(dependency, targetId, seen) : false;
+  });
+}
+
+function validateDependencies(task, dependsOn) {
+  if (!Array.isArray(dependsOn) || dependsOn.some(id => typeof id !== 'string')) {
+    return 'dependsOn must be an array of task IDs';
+  }
+  if (new Set(dependsOn).size !== dependsOn.length) {
+    return 'dependsOn lists the same task more than once';
+  }
+  for (const id of dependsOn) {
+    const dependency = tasks.get(id);
+    if (!dependency || dependency.room !== task.room) {
+      return `Unknown task in dependsOn: ${id}`;
+    }
+    if (id === task.id || dependsOnTask(dependency, task.id)) {
+      return `Depending on ${id} would create a dependency cycle`;
+    }
+  }
+  return null;
+}
+
+function unmetDependencies(task) {
+  return task.dependsOn.filter(id => tasks.get(id)?.status !== 'done');
+}
+
+// Status changes the hub makes on its own, recorded with the reason
+function setTaskStatus(task, status, reason) {
+  recordTaskEvent(task, 'status', { from: task.status, to: status, reason });
+  task.status = status;
+  task.updatedAt = new Date().toISOString();
+  
+  db.run("UPDATE tasks SET status = ?, status_before_block = ?, updated_at = ? WHERE id = ?", [status, task.statusBeforeBlock, task.updatedAt, task.id], (err) => {
+    if (err) logger.error('Failed to update task status:', err);
+  });
+  
+  io.to(task.room).emit('task', { type: 'updated', task, changes: ['status'], reason });
+}
+
+// Blocks a task whose prerequisites are unfinished, or releases it once they
+// are all done, back to the status it had when it was blocked
+function reevaluateBlocking(task) {
+  const blocked = unmetDependencies(task).length > 0;
+  let status = null;
+  
+  if (blocked && !['blocked', 'done'].includes(task.status)) {
+    status = 'blocked';
+    task.statusBeforeBlock = task.status;
+  } else if (!blocked && task.status === 'blocked') {
+    status = task.statusBeforeBlock || 'todo';
+    task.statusBeforeBlock = null;
+  }
+  if (!status) return;
+  
+  setTaskStatus(task, status, 'dependencies');
+  
+  if (!blocked && task.assigneeId) {
+    storeNotification({
+      id: uuidv4(),
+      agent_id: task.assigneeId,
+      room: task.room,
+      message: `Task "${task.title}" is unblocked: all of its dependencies are done`,
+      type: 'task_unblocked',
+      created_at: task.updatedAt
+    });
+  }
+}
+
+function reevaluateDependents(taskId) {
+  tasks.forEach(task => {
+    if (task.dependsOn.includes(taskId)) reevaluateBlocking(task);
+  });
+}
+
+function compareTasks(sort) {
+  const rank = {
+    priority: task => TASK_PRIORITIES.indexOf(task.priority),
+    status: task => TASK_STATUSES.indexOf(task.status),
+    progress: task => task.progress
+  }[sort];
+  
+  if (rank) return (a, b) => rank(a) - rank(b);
+  return (a, b) => String(a[sort] ?? '').localeCompare(String(b[sort] ?? ''));
+}
+
+function newTask(fields) {
+  const now = new Date().toISOString();
+  return {
+    id: uuidv4(),
+    description: '',
+    assignee: null,
+    assigneeId: null,
+    priority: 'medium',
+    status: 'todo',
+    statusBeforeBlock: null,
+    dependsOn: [],
+    requiredSkills: [],
+    progress: 0,
+    estimatedCompletion: null,
+    workflowId: null,
+    workflowStage: null,
+    ...fields,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Inserts a validated task, then caches, announces and hands it to its assignee
+function storeTask(task, actor, callback) {
+  db.run(
+    "INSERT INTO tasks (id, room, title, description, assignee, assignee_id, creator, priority, status, depends_on, required_skills, progress, estimated_completion, workflow_id, workflow_stage, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+    [task.id, task.room, task.title, task.description, task.assignee, task.assigneeId, task.creator, task.priority, task.status, JSON.stringify(task.dependsOn), JSON.stringify(task.requiredSkills), task.progress, task.estimatedCompletion, task.workflowId, task.workflowStage, task.createdAt, task.updatedAt],
+    (err) => {
+      if (err) {
+        logger.error('Failed to store task:', err);
+        return callback(err);
+      }
+      
+      tasks.set(task.id, task);
+      recordTaskEvent(task, 'created', { to: task.status, actor });
+      io.to(task.room).emit('task', { type: 'created', task });
+      notifyAssignment(task, task.creator);
+      
+      logger.info(`Task ${task.id} created in ${task.room} by ${task.creator}`);
+      
+      callback(null, task);
+    }
+  );
+}
+
+// The room comes from the path (POST /api/tasks/:room) or the body (POST /api/tasks)
+function createTask(req, res) {
+  const roomName = req.params.room || req.body.roomName;
+  const { title, description = '', priority = 'medium', dependsOn = [], requiredSkills = [], estimatedCompletion = null } = req.body;
+  const creator = req.auth.agent?.name || req.body.creator;
+  
+  if (!canAccessRoom(req, roomName)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  if (!title) {
+    return res.status(400).json({ success: false, error: 'title is required' });
+  }
+  
+  const invalid = validateTaskFields({ priority, estimatedCompletion, requiredSkills });
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+  
+  // assignee 'auto' lets the hub pick from the room's agents
+  const autoAssigned = req.body.assignee === 'auto';
+  const { assignee, assigneeId, error } = autoAssigned
+    ? autoAssign(roomName, requiredSkills)
+    : resolveAssignee(req.body.assignee, roomName);
+  
+  if (error) {
+    return res.status(409).json({ success: false, error });
+  }
+  
+  // Taking a task yourself is fine, handing it to someone else is not
+  if (assignee && assignee !== creator && !hasPermission(req, 'assign_tasks')) {
+    return denyPermission(req, res, 'assign_tasks');
+  }
+  
+  const task = newTask({
+    room: roomName,
+    title,
+    description,
+    assignee,
+    assigneeId,
+    creator,
+    priority,
+    dependsOn,
+    requiredSkills,
+    estimatedCompletion
+  });
+  
+  const invalidDependencies = validateDependencies(task, dependsOn);
+  if (invalidDependencies) {
+    return res.status(400).json({ success: false, error: invalidDependencies });
+  }
+  
+  if (unmetDependencies(task).length > 0) task.status = 'blocked';
+  
+  storeTask(task, actorOf(req), (err) => {
+    if (err) {
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    res.json({ success: true, task, autoAssigned });
+  });
+}
+
+app.post('/api/tasks', requirePermission('create_tasks'), createTask);
+app.post('/api/tasks/:room', requirePermission('create_tasks'), createTask);
+
+app.get('/api/tasks/:room', (req, res) => {
+  const { room } = req.params;
+  const { status, assignee, priority, creator, sort = 'createdAt', order = 'asc' } = req.query;
+  
+  if (!canAccessRoom(req, room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  if (!TASK_SORTS.includes(sort) || !['asc', 'desc'].includes(order)) {
+    return res.status(400).json({ success: false, error: `sort must be one of ${TASK_SORTS.join(', ')} and order asc or desc` });
+  }
+  
+  // Filters take a single value or a comma separated list
+  const matches = (value, filter) => !filter || filter.split(',').includes(value ?? 'unassigned');
+  
+  const roomTasks = Array.from(tasks.values())
+    .filter(t => t.room === room)
+    .filter(t => matches(t.status, status) && matches(t.assignee, assignee) && matches(t.priority, priority) && matches(t.creator, creator))
+    .sort(compareTasks(sort));
+  
+  if (order === 'desc') roomTasks.reverse();
+  
+  res.json({ success: true, tasks: roomTasks, total: roomTasks.length });
+});
+
+// Agent management endpoints
+app.get('/api/stats', requirePermission('monitor'), (req, res) => {
+  // Agents with the monitor permission only see their own room
+  const visibleRooms = Array.from(rooms.entries()).filter(([name]) => canAccessRoom(req, name));
+  
+  const stats = {
+    totalRooms: rooms.size,
+    totalAgents: agents.size,
+    totalTasks: tasks.size,
+    sharedDirectory: SHARED_DIR,
+    rooms: visibleRooms.map(([name, room]) => ({
+      name,
+      agentCount: room.agents.size,
+      messageCount: messages.get(name)?.length || 0,
+      isActive: room.isActive,
+      tasks: taskRollup(name)
+    }))
+  };
+  res.json(stats);
+});
+
+app.post('/api/broadcast/:room', requirePermission('broadcast'), (req, res) => {
+  const { room: roomName } = req.params;
+  const { content } = req.body;
+  // Agents broadcast under their own name; the admin may pick one
+  const from = req.auth.agent?.name || req.body.from || 'Orchestrator';
+  
+  if (!canAccessRoom(req, roomName)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  const message = {
+    id: uuidv4(),
+    type: 'broadcast',
+    agentName: from,
+    content: `[${from}] ${content}`,
+    timestamp: new Date().toISOString(),
+    room: roomName,
+    from,
+    metadata: { from }
+  };
+  
+  recordMessage(message);
+  io.to(roomName).emit('message', message);
+  
+  res.json({ success: true, messageId: message.id });
+});
+
+function updateTask(req, res) {
+  const { taskId } = req.params;
+  const changes = {};
+  TASK_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  });
+  if (changes.estimatedCompletion === '') changes.estimatedCompletion = null;
+  
+  const task = tasks.get(taskId);
+  if (!task) {
+    return res.status(404).json({ success: false, error: 'Task not found' });
+  }
+  
+  if (!canAccessRoom(req, task.room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  if (changes.title === '' || changes.title === null) {
+    return res.status(400).json({ success: false, error: 'title cannot be empty' });
+  }
+  
+  const invalid = validateTaskFields(changes);
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+  
+  if ('assignee' in changes) {
+    const { error, ...assignment } = changes.assignee === 'auto'
+      ? autoAssign(task.room, changes.requiredSkills || task.requiredSkills)
+      : resolveAssignee(changes.assignee, task.room);
+    
+    if (error) {
+      return res.status(409).json({ success: false, error });
+    }
+    Object.assign(changes, assignment);
+  }
+  
+  if ('assignee' in changes && !canAssign(req, task.assignee, changes.assignee)) {
+    return denyPermission(req, res, 'assign_tasks');
+  }
+  
+  // Tasks with statuses from before the state machine may move anywhere
+  const allowed = TASK_TRANSITIONS[task.status] || TASK_STATUSES;
+  if (changes.status && changes.status !== task.status && !allowed.includes(changes.status)) {
+    return res.status(409).json({ success: false, error: `Cannot move a task from ${task.status} to ${changes.status}`, allowed });
+  }
+  
+  if ('dependsOn' in changes) {
+    const invalidDependencies = validateDependencies(task, changes.dependsOn);
+    if (invalidDependencies) {
+      return res.status(400).json({ success: false, error: invalidDependencies });
+    }
+  }
+  
+  const updated = { ...task, ...changes, updatedAt: new Date().toISOString() };
+  if (updated.progress !== task.progress) updated.progress = Math.round(updated.progress);
+  if (updated.status === 'done' && task.status !== 'done') updated.progress = 100;
+  
+  // Unfinished prerequisites keep a task blocked; dropping them releases it
+  const unmet = unmetDependencies(updated);
+  if (unmet.length > 0 && updated.status !== 'blocked') {
+    if (changes.status) {
+      return res.status(409).json({ success: false, error: `Task is waiting on ${unmet.length} unfinished dependencies`, blockedBy: unmet });
+    }
+    updated.statusBeforeBlock = updated.status;
+    updated.status = 'blocked';
+  } else if (unmet.length === 0 && 'dependsOn' in changes && task.dependsOn.length > 0 && task.status === 'blocked' && !changes.status) {
+    updated.status = task.statusBeforeBlock || 'todo';
+  }
+  if (updated.status !== 'blocked') updated.statusBeforeBlock = null;
+  
+  db.run(
+    "UPDATE tasks SET title = ?, description = ?, assignee = ?, assignee_id = ?, priority = ?, status = ?, status_before_block = ?, depends_on = ?, required_skills = ?, progress = ?, estimated_completion = ?, updated_at = ? WHERE id = ?",
+    [updated.title, updated.description, updated.assignee, updated.assigneeId, updated.priority, updated.status, updated.statusBeforeBlock, JSON.stringify(updated.dependsOn), JSON.stringify(updated.requiredSkills), updated.progress, updated.estimatedCompletion, updated.updatedAt, taskId],
+    (err) => {
+      if (err) {
+        logger.error('Failed to update task:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      
+      const previousStatus = task.status;
+      const previousAssignee = task.assignee;
+      const actor = actorOf(req);
+      TASK_FIELDS.forEach(field => {
+        if (JSON.stringify(task[field]) === JSON.stringify(updated[field])) return;
+        const reason = field === 'status' && !('status' in changes) ? 'dependencies' : null;
+        recordTaskEvent(task, field, { from: task[field], to: updated[field], actor, reason });
+      });
+      
+      Object.assign(task, updated);
+      
+      // Progress reports get their own event type so clients can render them as a bar
+      const fields = Object.keys(changes);
+      const type = fields.length > 0 && fields.every(f => PROGRESS_FIELDS.includes(f)) ? 'progress' : 'updated';
+      io.to(task.room).emit('task', { type, task, changes: fields });
+      
+      if (previousStatus !== task.status) reevaluateDependents(taskId);
+      if (task.workflowId && previousStatus !== task.status && task.status === 'done') workflowStageDone(task);
+      if (previousAssignee !== task.assignee) notifyAssignment(task, actor.name);
+      
+      logger.info(`Task ${taskId} updated: status=${task.status}, assignee=${task.assignee}`);
+      
+      res.json({ success: true, task });
+    }
+  );
+}
+
+app.put('/api/tasks/:taskId', requirePermission('update_tasks'), updateTask);
+app.post('/api/tasks/:taskId/update', requirePermission('update_tasks'), updateTask);
+
+app.delete('/api/tasks/:taskId', (req, res) => {
+  const { taskId } = req.params;
+  
+  const task = tasks.get(taskId);
+  if (!task) {
+    return res.status(404).json({ success: false, error: 'Task not found' });
+  }
+  
+  if (!canAccessRoom(req, task.room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  // Creators may withdraw their own tasks; anything else needs delete_tasks
+  const isCreator = req.auth.agent && task.creator === req.auth.agent.name && hasPermission(req, 'create_tasks');
+  if (!isCreator && !hasPermission(req, 'delete_tasks')) {
+    return denyPermission(req, res, 'delete_tasks');
+  }
+  
+  db.serialize(() => {
+    db.run("DELETE FROM task_comments WHERE task_id = ?", [taskId]);
+    db.run("DELETE FROM tasks WHERE id = ?", [taskId], (err) => {
+      if (err) {
+        logger.error('Failed to delete task:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      
+      tasks.delete(taskId);
+      recordTaskEvent(task, 'deleted', { from: task.status, actor: actorOf(req) });
+      io.to(task.room).emit('task', { type: 'deleted', task });
+      
+      // Dependents stop waiting on a deleted task
+      tasks.forEach(dependent => {
+        if (!dependent.dependsOn.includes(taskId)) return;
+        const dependsOn = dependent.dependsOn.filter(id => id !== taskId);
+        recordTaskEvent(dependent, 'dependsOn', { from: dependent.dependsOn, to: dependsOn, reason: 'dependency_deleted' });
+        dependent.dependsOn = dependsOn;
+        db.run("UPDATE tasks SET depends_on = ? WHERE id = ?", [JSON.stringify(dependent.dependsOn), dependent.id]);
+        reevaluateBlocking(dependent);
+      });
+      
+      // A running workflow starts the stage again with a fresh task
+      if (task.workflowId) advanceWorkflow(workflows.get(task.workflowId));
+      
+      logger.info(`Task ${taskId} deleted from ${task.room}`);
+      
+      res.json({ success: true, taskId });
+    });
+  });
+});
+
+// Timeline of a task, kept after the task itself is deleted
+app.get('/api/tasks/:taskId/events', (req, res) => {
+  const { taskId } = req.params;
+  
+  db.all(
+    "SELECT * FROM task_events WHERE task_id = ? ORDER BY created_at, rowid",
+    [taskId],
+    (err, rows) => {
+      if (err) {
+        logger.error('Failed to load task events:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      
+      const room = tasks.get(taskId)?.room || rows[0]?.room;
+      if (!room) {
+        return res.status(404).json({ success: false, error: 'Task not found' });
+      }
+      
+      if (!canAccessRoom(req, room)) {
+        return res.status(403).json({ success: false, error: 'Not a member of this room' });
+      }
+      
+      res.json({ success: true, taskId, task: tasks.get(taskId) || null, events: rows.map(rowToTaskEvent) });
+    }
+  );
+});
+
+// Task comment endpoints
+function isCommentAuthor(req, row) {
+  return req.auth.isAdmin || row.author_id === req.auth.agent.id;
+}
+
+app.post('/api/tasks/:taskId/comments', requirePermission('comment'), (req, res) => {
+  const { taskId } = req.params;
+  const { content, parentId = null } = req.body;
+  // Agents always comment as themselves; the admin may name an author
+  const author = req.auth.agent?.name || req.body.author;
+  const agentId = req.auth.agent?.id || null;
+  
+  const task = tasks.get(taskId);
+  if (!task) {
+    return res.status(404).json({ success: false, error: 'Task not found' });
+  }
+  
+  if (!canAccessRoom(req, task.room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  if (!content || !author) {
+    return res.status(400).json({ success: false, error: 'content and author are required' });
+  }
+  
+  const mentions = parseMentions(content);
+  const comment = {
+    id: uuidv4(),
+    taskId,
+    room: task.room,
+    parentId,
+    author,
+    authorId: agentId,
+    content,
+    mentions,
+    createdAt: new Date().toISOString(),
+    updatedAt: null
+  };
+  
+  const insertComment = () => {
+    db.run(
+      "INSERT INTO task_comments (id, task_id, room, parent_id, author, author_id, content, mentions, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      [comment.id, taskId, task.room, parentId, author, agentId, content, JSON.stringify(mentions), comment.createdAt],
+      (err) => {
+        if (err) {
+          logger.error('Failed to store task comment:', err);
+          return res.status(500).json({ success: false, error: 'Database error' });
+        }
+        
+        if (mentions.length > 0) {
+          createNotifications({
+            room: task.room,
+            agentName: author,
+            content: `(on task "${task.title}") ${content}`
+          }, mentions);
+        }
+        
+        io.to(task.room).emit('task', { type: 'comment_added', task, comment });
+        
+        logger.info(`Comment added to task ${taskId} by ${author}`);
+        
+        res.json({ success: true, comment });
+      }
+    );
+  };
+  
+  if (!parentId) {
+    return insertComment();
+  }
+  
+  // Replies must belong to the same task
+  db.get("SELECT id FROM task_comments WHERE id = ? AND task_id = ?", [parentId, taskId], (err, parent) => {
+    if (err) {
+      logger.error('Failed to look up parent comment:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    if (!parent) {
+      return res.status(404).json({ success: false, error: 'Parent comment not found' });
+    }
+    
+    insertComment();
+  });
+});
+
+app.get('/api/tasks/:taskId/comments', (req, res) => {
+  const { taskId } = req.params;
+  const { threaded } = req.query;
+  
+  // Every stored task is loaded at startup, so one that isn't in memory doesn't exist
+  const task = tasks.get(taskId);
+  if (!task) {
+    return res.status(404).json({ success: false, error: 'Task not found' });
+  }
+  
+  if (!canAccessRoom(req, task.room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  db.all("SELECT * FROM task_comments WHERE task_id = ? ORDER BY created_at ASC", [taskId], (err, rows) => {
+    if (err) {
+      logger.error('Failed to retrieve task comments:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    const comments = rows.map(rowToComment);
+    
+    if (threaded !== 'true') {
+      return res.json({ success: true, comments });
+    }
+    
+    // Nest replies under their parent comment
+    const byId = new Map(comments.map(c => [c.id, { ...c, replies: [] }]));
+    const roots = [];
+    byId.forEach(comment => {
+      const parent = comment.parentId && byId.get(comment.parentId);
+      if (parent) parent.replies.push(comment);
+      else roots.push(comment);
+    });
+    
+    res.json({ success: true, comments: roots });
+  });
+});
+
+app.put('/api/tasks/:taskId/comments/:commentId', requirePermission('comment'), (req, res) => {
+  const { taskId, commentId } = req.params;
+  const { content } = req.body;
+  
+  if (!content) {
+    return res.status(400).json({ success: false, error: 'content is required' });
+  }
+  
+  db.get("SELECT * FROM task_comments WHERE id = ? AND task_id = ?", [commentId, taskId], (err, row) => {
+    if (err) {
+      logger.error('Failed to look up task comment:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    if (!row) {
+      return res.status(404).json({ success: false, error: 'Comment not found' });
+    }
+    
+    if (!isCommentAuthor(req, row)) {
+      return res.status(403).json({ success: false, error: 'Only the author can edit a comment' });
+    }
+    
+    const mentions = parseMentions(content);
+    const updatedAt = new Date().toISOString();
+    
+    db.run(
+      "UPDATE task_comments SET content = ?, mentions = ?, updated_at = ? WHERE id = ?",
+      [content, JSON.stringify(mentions), updatedAt, commentId],
+      (err) => {
+        if (err) {
+          logger.error('Failed to update task comment:', err);
+          return res.status(500).json({ success: false, error: 'Database error' });
+        }
+        
+        const comment = rowToComment({ ...row, content, mentions: JSON.stringify(mentions), updated_at: updatedAt });
+        
+        // Only notify agents who weren't already mentioned
+        const previous = row.mentions ? JSON.parse(row.mentions) : [];
+        const added = mentions.filter(name => !previous.includes(name));
+        const task = tasks.get(taskId);
+        if (added.length > 0) {
+          createNotifications({
+            room: row.room,
+            agentName: row.author,
+            content: `(on task "${task?.title || taskId}") ${content}`
+          }, added);
+        }
+        
+        io.to(row.room).emit('task', { type: 'comment_updated', task, comment });
+        
+        res.json({ success: true, comment });
+      }
+    );
+  });
+});
+
+app.delete('/api/tasks/:taskId/comments/:commentId', (req, res) => {
+  const { taskId, commentId } = req.params;
+  
+  db.get("SELECT * FROM task_comments WHERE id = ? AND task_id = ?", [commentId, taskId], (err, row) => {
+    if (err) {
+      logger.error('Failed to look up task comment:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    if (!row) {
+      return res.status(404).json({ success: false, error: 'Comment not found' });
+    }
+    
+    // Moderators with delete_messages can remove anyone's comment
+    if (!isCommentAuthor(req, row) && !(canAccessRoom(req, row.room) && hasPermission(req, 'delete_messages'))) {
+      return res.status(403).json({ success: false, error: 'Only the author or a moderator can delete a comment' });
+    }
+    
+    // Remove the comment together with every reply beneath it
+    db.run(
+      `DELETE FROM task_comments WHERE id IN (
+        WITH RECURSIVE thread(id) AS (
+          SELECT ?
+          UNION ALL
+          SELECT c.id FROM task_comments c JOIN thread t ON c.parent_id = t.id
+        )
+        SELECT id FROM thread
+      )`,
+      [commentId],
+      function(err) {
+        if (err) {
+          logger.error('Failed to delete task comment:', err);
+          return res.status(500).json({ success: false, error: 'Database error' });
+        }
+        
+        io.to(row.room).emit('task', { type: 'comment_deleted', task: tasks.get(taskId), commentId });
+        
+        res.json({ success: true, deleted: this.changes });
+      }
+    );
+  });
+});
+
+// Registered after the comment routes so /:taskId/comments is not shadowed
+app.get('/api/tasks/:room/:taskId', (req, res) => {
+  const { room, taskId } = req.params;
+  
+  if (!canAccessRoom(req, room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  const task = tasks.get(taskId);
+  if (!task || task.room !== room) {
+    return res.status(404).json({ success: false, error: 'Task not found' });
+  }
+  
+  const dependents = Array.from(tasks.values()).filter(t => t.dependsOn.includes(taskId)).map(t => t.id);
+  
+  res.json({ success: true, task, blockedBy: unmetDependencies(task), dependents });
+});
+
+// Workflows: stages become tasks once the stages they wait on are done
+const startingStages = new Set(); // workflowId:stage while its task is being stored
+
+// Accepts a definition object or its JSON/YAML text
+function parseWorkflowDefinition(input) {
+  let definition = input;
+  if (typeof input === 'string') {
+    try {
+      definition = YAML.parse(input);
+    } catch (err) {
+      return { error: `Invalid workflow definition: ${err.message}` };
+    }
+  }
+  
+  if (!definition?.name) {
+    return { error: 'Workflow definition needs a name' };
+  }
+  if (!Array.isArray(definition.stages) || definition.stages.length === 0) {
+    return { error: 'Workflow definition needs at least one stage' };
+  }
+  
+  const stages = [];
+  for (const [index, stage] of definition.stages.entries()) {
+    if (!stage?.name) {
+      return { error: `Stage ${index + 1} needs a name` };
+    }
+    const name = String(stage.name);
+    if (stages.some(s => s.name === name)) {
+      return { error: `Duplicate stage name: ${name}` };
+    }
+    
+    // A stage waits for the one before it unless it lists its own prerequisites
+    const after = stage.after === undefined ? stages.slice(-1).map(s => s.name) : [].concat(stage.after).map(String);
+    const unknown = after.find(prerequisite => !stages.some(s => s.name === prerequisite));
+    if (unknown) {
+      return { error: `Stage ${name} waits on ${unknown}, which is not an earlier stage` };
+    }
+    
+    const invalid = validateTaskFields({ priority: stage.priority, requiredSkills: stage.skills });
+    if (invalid) {
+      return { error: `Stage ${name}: ${invalid}` };
+    }
+    if (stage.role !== undefined && stage.role !== null && typeof stage.role !== 'string') {
+      return { error: `Stage ${name}: role must be a string` };
+    }
+    
+    stages.push({
+      name,
+      title: stage.title || null,
+      description: stage.description || '',
+      agent: stage.agent || null,
+      role: stage.role || null,
+      skills: stage.skills || [],
+      priority: stage.priority || 'medium',
+      after
+    });
+  }
+  
+  return { definition: { name: String(definition.name), description: definition.description || '', stages } };
+}
+
+// Stage roles that are neither configured for the room nor held by any of its
+// agents, most likely typos. They are allowed, since agents with the role may
+// still join, but the stages wait unassigned until then.
+function unknownStageRoles(roomName, stages) {
+  const held = new Set(Array.from(rooms.get(roomName).agents, id => agents.get(id)).filter(Boolean).map(roleOf));
+  return stages
+    .filter(stage => stage.role && !isKnownRole(roomName, stage.role) && !held.has(stage.role))
+    .map(stage => `Stage ${stage.name}: no agent in the room has role ${stage.role}`);
+}
+
+// Stage definitions merged with the state of their tasks
+function workflowView(workflow) {
+  const stageTasks = Array.from(tasks.values()).filter(t => t.workflowId === workflow.id);
+  
+  return {
+    ...workflow,
+    stages: workflow.stages.map(stage => {
+      const task = stageTasks.find(t => t.workflowStage === stage.name);
+      return {
+        ...stage,
+        status: !task ? 'pending' : task.status === 'done' ? 'done' : 'active',
+        taskId: task?.id || null,
+        assignee: task?.assignee || null,
+        progress: task?.progress || 0
+      };
+    })
+  };
+}
+
+// Named agents are resolved like any assignee; roles and skills pick the best match when the stage starts
+function stageAssignee(roomName, stage) {
+  if (stage.agent) return resolveAssignee(stage.agent, roomName);
+  
+  const [best] = rankAssignees(roomName, stage.skills, stage.role);
+  return best ? { assignee: best.agent.name, assigneeId: best.agent.id } : { assignee: null, assigneeId: null };
+}
+
+function setWorkflowStatus(workflow, status) {
+  workflow.status = status;
+  workflow.updatedAt = new Date().toISOString();
+  
+  db.run("UPDATE workflows SET status = ?, updated_at = ? WHERE id = ?", [status, workflow.updatedAt, workflow.id], (err) => {
+    if (err) logger.error('Failed to update workflow:', err);
+  });
+  
+  io.to(workflow.room).emit('workflow', { type: status, workflow: workflowView(workflow) });
+  logger.info(`Workflow ${workflow.id} ${status}`);
+}
+
+// Creates tasks for every pending stage whose prerequisites are done and completes the
+// workflow once all stages are; calls back when the new tasks are stored
+function advanceWorkflow(workflow, callback = () => {}) {
+  if (!workflow || workflow.status !== 'running') return callback();
+  
+  const { stages } = workflowView(workflow);
+  const done = new Set(stages.filter(s => s.status === 'done').map(s => s.name));
+  
+  if (done.size === stages.length) {
+    setWorkflowStatus(workflow, 'completed');
+    return callback();
+  }
+  
+  const ready = stages.filter(stage => {
+    const key = `${workflow.id}:${stage.name}`;
+    return stage.status === 'pending' && !startingStages.has(key) && stage.after.every(name => done.has(name));
+  });
+  
+  let remaining = ready.length;
+  if (remaining === 0) return callback();
+  
+  ready.forEach(stage => {
+    const key = `${workflow.id}:${stage.name}`;
+    startingStages.add(key);
+    
+    const task = newTask({
+      room: workflow.room,
+      title: stage.title || `${workflow.name}: ${stage.name}`,
+      description: stage.description,
+      ...stageAssignee(workflow.room, stage),
+      creator: workflow.createdBy,
+      priority: stage.priority,
+      requiredSkills: stage.skills,
+      workflowId: workflow.id,
+      workflowStage: stage.name
+    });
+    
+    storeTask(task, null, (err) => {
+      startingStages.delete(key);
+      if (!err) {
+        io.to(workflow.room).emit('workflow', { type: 'stage_started', workflow: workflowView(workflow), stage: stage.name });
+      }
+      if (--remaining === 0) callback();
+    });
+  });
+}
+
+function workflowStageDone(task) {
+  const workflow = workflows.get(task.workflowId);
+  if (!workflow || workflow.status !== 'running') return;
+  
+  io.to(workflow.room).emit('workflow', { type: 'stage_completed', workflow: workflowView(workflow), stage: task.workflowStage });
+  advanceWorkflow(workflow);
+}
+
+app.post('/api/workflows/:room', requirePermission('assign_tasks'), (req, res) => {
+  const { room: roomName } = req.params;
+  
+  if (!canAccessRoom(req, roomName)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  if (!rooms.has(roomName)) {
+    return res.status(404).json({ success: false, error: 'Room not found' });
+  }
+  
+  // The definition may come as { definition } (object or JSON/YAML text) or as the body itself
+  const { definition, error } = parseWorkflowDefinition(req.body.definition ?? req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  
+  const warnings = unknownStageRoles(roomName, definition.stages);
+  
+  const workflow = {
+    id: uuidv4(),
+    room: roomName,
+    ...definition,
+    status: 'running',
+    createdBy: req.auth.agent?.name || req.body.createdBy || 'Orchestrator',
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  
+  db.run(
+    "INSERT INTO workflows (id, room, name, description, stages, status, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+    [workflow.id, roomName, workflow.name, workflow.description, JSON.stringify(workflow.stages), workflow.status, workflow.createdBy, workflow.createdAt, workflow.updatedAt],
+    (err) => {
+      if (err) {
+        logger.error('Failed to store workflow:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      
+      workflows.set(workflow.id, workflow);
+      logger.info(`Workflow ${workflow.name} (${workflow.id}) started in ${roomName} by ${workflow.createdBy}`);
+      warnings.forEach(warning => logger.warn(`Workflow ${workflow.name} (${workflow.id}): ${warning}`));
+      
+      io.to(roomName).emit('workflow', { type: 'started', workflow: workflowView(workflow) });
+      
+      advanceWorkflow(workflow, () => {
+        res.json({ success: true, workflow: workflowView(workflow), ...(warnings.length > 0 && { warnings }) });
+      });
+    }
+  );
+});
+
+app.get('/api/workflows/:room', (req, res) => {
+  const { room } = req.params;
+  const { status } = req.query;
+  
+  if (!canAccessRoom(req, room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  const roomWorkflows = Array.from(workflows.values())
+    .filter(w => w.room === room && (!status || w.status === status))
+    .map(workflowView);
+  
+  res.json({ success: true, workflows: roomWorkflows });
+});
+
+app.get('/api/workflows/:room/:workflowId', (req, res) => {
+  const { room, workflowId } = req.params;
+  
+  if (!canAccessRoom(req, room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  const workflow = workflows.get(workflowId);
+  if (!workflow || workflow.room !== room) {
+    return res.status(404).json({ success: false, error: 'Workflow not found' });
+  }
+  
+  res.json({ success: true, workflow: workflowView(workflow) });
+});
+
+app.post('/api/workflows/:room/:workflowId/cancel', requirePermission('assign_tasks'), (req, res) => {
+  const { room, workflowId } = req.params;
+  
+  if (!canAccessRoom(req, room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  
+  const workflow = workflows.get(workflowId);
+  if (!workflow || workflow.room !== room) {
+    return res.status(404).json({ success: false, error: 'Workflow not found' });
+  }
+  
+  if (workflow.status !== 'running') {
+    return res.status(409).json({ success: false, error: `Workflow is already ${workflow.status}` });
+  }
+  
+  // Open stage tasks stay on the board, blocked, so nobody keeps working on them
+  tasks.forEach(task => {
+    if (task.workflowId === workflowId && !['done', 'blocked'].includes(task.status)) {
+      setTaskStatus(task, 'blocked', 'workflow_cancelled');
+    }
+  });
+  
+  setWorkflowStatus(workflow, 'cancelled');
+  
+  res.json({ success: true, workflow: workflowView(workflow) });
+});
+
+// Agent memory endpoints
+function rowToMemory(row) {
+  return {
+    id: row.id,
+    agentId: row.agent_id,
+    room: row.room,
+    key: row.key,
+    value: row.value,
+    type: row.type,
+    version: row.version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || row.created_at,
+    expiresAt: row.expires_at
+  };
+}
+
+// Answers a conditional memory write that changed nothing: the key is gone or has moved on
+function memoryConflict(res, agentId, key, expectedVersion) {
+  db.get("SELECT version FROM agent_memory WHERE agent_id = ? AND key = ?", [agentId, key], (err, row) => {
+    if (err) {
+      logger.error('Failed to read agent memory:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    if (!row) {
+      return res.status(404).json({ success: false, error: `No memory stored under '${key}'` });
+    }
+    
+    res.status(409).json({
+      success: false,
+      error: `Memory '${key}' is at version ${row.version}, not ${expectedVersion}`,
+      currentVersion: row.version
+    });
+  });
+}
+
+function sendMemory(res, agentId, key, extra = {}) {
+  db.get("SELECT * FROM agent_memory WHERE agent_id = ? AND key = ?", [agentId, key], (err, row) => {
+    if (err) {
+      logger.error('Failed to read agent memory:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    // Deleted by another request between the write and this read
+    if (!row) {
+      logger.warn(`Memory ${key} of agent ${agentId} was deleted right after being written`);
+      return res.status(404).json({ success: false, error: `No memory stored under '${key}'` });
+    }
+    
+    res.json({ success: true, memoryId: row.id, memory: rowToMemory(row), ...extra });
+  });
+}
+
+// Expired entries no longer exist as far as clients are concerned. Dropping
+// them before a write keeps them from blocking expectedVersion: 0 or being revived.
+function purgeExpiredMemory(agentId, key) {
+  db.run(
+    "DELETE FROM agent_memory WHERE agent_id = ? AND key = ? AND expires_at IS NOT NULL AND expires_at <= ?",
+    [agentId, key, new Date().toISOString()]
+  );
+}
+
+// Upsert by key. expectedVersion makes the write conditional: 0 means the key must not
+// exist yet, any other number means the entry must still be at that version
+app.post('/api/memory/:agentId', (req, res) => {
+  const { agentId } = req.params;
+  const { key, value, type = 'note', expiresIn, expectedVersion } = req.body;
   
-  let roomMessages = messages.get(room) || [];
+  if (!isSelf(req, agentId)) {
+    return res.status(403).json({ success: false, error: "Cannot access another agent's memory" });
+  }
   
-  if (since) {
-    const sinceTime = new Date(since).getTime();
-    roomMessages = roomMessages.filter(m => 
-      new Date(m.timestamp).getTime() > sinceTime
-    );
+  const agent = agents.get(agentId);
+  if (!agent) {
+    return res.status(404).json({ success: false, error: 'Agent not found' });
   }
   
-  res.json({
-    messages: roomMessages.slice(-parseInt(limit))
+  if (!key) {
+    return res.status(400).json({ success: false, error: 'key is required' });
+  }
+  
+  const versionError = validateExpectedVersion(expectedVersion);
+  if (versionError) {
+    return res.status(400).json({ success: false, error: versionError });
+  }
+  
+  const now = new Date().toISOString();
+  const expiresAt = expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null;
+  
+  const write = {
+    keys: { agent_id: agentId, key },
+    created: { id: uuidv4(), created_at: now },
+    fields: { value, type, room: agent.room, expires_at: expiresAt, updated_at: now }
+  };
+  
+  db.serialize(() => {
+    purgeExpiredMemory(agentId, key);
+    versionedWrite(db, 'agent_memory', write, expectedVersion, (err, changes) => {
+      if (err && err.code === 'SQLITE_CONSTRAINT') {
+        return memoryConflict(res, agentId, key, expectedVersion);
+      }
+      if (err) {
+        logger.error('Failed to store agent memory:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      if (changes === 0) {
+        return memoryConflict(res, agentId, key, expectedVersion);
+      }
+      
+      logger.info(`Memory stored for agent ${agent.name}: ${key}`);
+      
+      sendMemory(res, agentId, key);
+    });
   });
 });
 
-app.get('/api/rooms', (req, res) => {
-  const roomList = Array.from(rooms.entries()).map(([name, room]) => ({
-    name,
-    agentCount: room.agents.size,
-    agents: Array.from(room.agents).map(id => agents.get(id)).filter(Boolean),
-    createdAt: room.createdAt
-  }));
+// Update an existing entry; fields left out keep their current values and
+// expiresIn: null removes the expiry
+app.put('/api/memory/:agentId/:key', (req, res) => {
+  const { agentId, key } = req.params;
+  const { value, type, expiresIn, expectedVersion } = req.body;
+  
+  if (!isSelf(req, agentId)) {
+    return res.status(403).json({ success: false, error: "Cannot access another agent's memory" });
+  }
   
-  res.json({ rooms: roomList });
-});
-
-app.get('/api/agents/:room', (req, res) => {
-  const { room: roomName } = req.params;
-  const room = rooms.get(roomName);
+  const versionError = validateExpectedVersion(expectedVersion);
+  if (versionError) {
+    return res.status(400).json({ success: false, error: versionError });
+  }
   
-  if (!room) {
-    return res.status(404).json({ success: false, error: 'Room not found' });
+  if (expiresIn !== undefined && expiresIn !== null && !(typeof expiresIn === 'number' && expiresIn > 0)) {
+    return res.status(400).json({ success: false, error: 'expiresIn must be a positive number of seconds, or null' });
   }
   
-  const roomAgents = Array.from(room.agents)
-    .map(id => agents.get(id))
-    .filter(Boolean);
+  const expiresAt = expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null;
   
-  res.json({ agents: roomAgents });
+  let sql = `UPDATE agent_memory SET value = COALESCE(?, value), type = COALESCE(?, type),
+    expires_at = ${expiresIn === undefined ? 'expires_at' : '?'}, version = version + 1, updated_at = ?
+    WHERE agent_id = ? AND key = ?`;
+  const params = [value ?? null, type ?? null, ...(expiresIn === undefined ? [] : [expiresAt]), new Date().toISOString(), agentId, key];
+  
+  if (expectedVersion !== undefined) {
+    sql += " AND version = ?";
+    params.push(expectedVersion);
+  }
+  
+  db.serialize(() => {
+    purgeExpiredMemory(agentId, key);
+    db.run(sql, params, function(err) {
+      if (err) {
+        logger.error('Failed to update agent memory:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      if (this.changes === 0) {
+        return memoryConflict(res, agentId, key, expectedVersion);
+      }
+      
+      sendMemory(res, agentId, key);
+    });
+  });
 });
 
-// Task endpoints
-app.post('/api/tasks', (req, res) => {
-  const { roomName, title, description, assignee, creator, priority = 'medium' } = req.body;
+app.delete('/api/memory/:agentId/:key', (req, res) => {
+  const { agentId, key } = req.params;
+  const { expectedVersion } = req.query;
   
-  const task = {
-    id: uuidv4(),
-    room: roomName,
-    title,
-    description,
-    assignee,
-    creator,
-    priority,
-    status: 'todo',
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  };
+  if (!isSelf(req, agentId)) {
+    return res.status(403).json({ success: false, error: "Cannot access another agent's memory" });
+  }
   
-  tasks.set(task.id, task);
-  io.to(roomName).emit('task', { type: 'created', task });
+  // Query strings arrive as text
+  const version = expectedVersion === undefined ? undefined : Number(expectedVersion);
+  const versionError = validateExpectedVersion(version);
+  if (versionError) {
+    return res.status(400).json({ success: false, error: versionError });
+  }
   
-  res.json({ success: true, task });
-});
-
-app.get('/api/tasks/:room', (req, res) => {
-  const { room } = req.params;
-  const roomTasks = Array.from(tasks.values()).filter(t => t.room === room);
-  res.json({ tasks: roomTasks });
-});
-
-// Agent management endpoints
-app.get('/api/stats', (req, res) => {
-  const stats = {
-    totalRooms: rooms.size,
-    totalAgents: agents.size,
-    totalTasks: tasks.size,
-    sharedDirectory: SHARED_DIR,
-    rooms: Array.from(rooms.entries()).map(([name, room]) => ({
-      name,
-      agentCount: room.agents.size,
-      messageCount: messages.get(name)?.length || 0,
-      isActive: room.isActive
-    }))
-  };
-  res.json(stats);
+  let sql = "DELETE FROM agent_memory WHERE agent_id = ? AND key = ?";
+  const params = [agentId, key];
+  
+  if (version !== undefined) {
+    sql += " AND version = ?";
+    params.push(version);
+  }
+  
+  db.serialize(() => {
+    purgeExpiredMemory(agentId, key);
+    db.run(sql, params, function(err) {
+      if (err) {
+        logger.error('Failed to delete agent memory:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      if (this.changes === 0) {
+        return memoryConflict(res, agentId, key, version);
+      }
+      
+      res.json({ success: true, deleted: this.changes });
+    });
+  });
 });
 
-app.post('/api/broadcast/:room', (req, res) => {
-  const { room: roomName } = req.params;
-  const { content, from = 'Orchestrator' } = req.body;
+// Bulk delete by type, e.g. clearing every 'context' entry at the end of a job
+app.delete('/api/memory/:agentId', (req, res) => {
+  const { agentId } = req.params;
+  const { type } = req.query;
   
-  const message = {
-    id: uuidv4(),
-    type: 'broadcast',
-    content: `[${from}] ${content}`,
-    timestamp: new Date().toISOString(),
-    room: roomName,
-    from
-  };
+  if (!isSelf(req, agentId)) {
+    return res.status(403).json({ success: false, error: "Cannot access another agent's memory" });
+  }
   
-  messages.get(roomName)?.push(message);
-  io.to(roomName).emit('message', message);
+  if (!type) {
+    return res.status(400).json({ success: false, error: 'type is required' });
+  }
   
-  res.json({ success: true, messageId: message.id });
+  db.run("DELETE FROM agent_memory WHERE agent_id = ? AND type = ?", [agentId, type], function(err) {
+    if (err) {
+      logger.error('Failed to delete agent memory:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    res.json({ success: true, deleted: this.changes });
+  });
 });
 
-app.post('/api/tasks/:taskId/update', (req, res) => {
-  const { taskId } = req.params;
-  const { status, assignee, priority } = req.body;
+// Reading a roommate's memory needs read_agent_memory
+function checkMemoryRead(req, res, next) {
+  const { agentId } = req.params;
   
-  const task = tasks.get(taskId);
-  if (!task) {
-    return res.status(404).json({ success: false, error: 'Task not found' });
+  if (!isSelf(req, agentId)) {
+    if (agents.get(agentId)?.room !== req.auth.agent.room) {
+      return res.status(403).json({ success: false, error: "Cannot access another agent's memory" });
+    }
+    if (!hasPermission(req, 'read_agent_memory')) {
+      return denyPermission(req, res, 'read_agent_memory');
+    }
   }
+  next();
+}
+
+// Similarity search ranks memories with BM25, computed in-process over the
+// agent's entries so nothing leaves the hub. Keys are indexed with the value
+// since they usually name the topic.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'we', 'with'
+]);
+
+// Lowercased words without stop words, with plurals folded onto their singular
+function tokenize(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(word => {
+      if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+      if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+      return word;
+    });
+}
+
+// Score each document against the query; returns [{ doc, score }] best first, matches only
+function rankByBm25(docs, query, textOf) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0 || docs.length === 0) return [];
   
-  if (status) task.status = status;
-  if (assignee) task.assignee = assignee;
-  if (priority) task.priority = priority;
-  task.updatedAt = new Date().toISOString();
-  
-  // Update in database
-  db.run(
-    "UPDATE tasks SET status = ?, assignee = ?, priority = ?, updated_at = ? WHERE id = ?",
-    [task.status, task.assignee, task.priority, task.updatedAt, taskId]
-  );
-  
-  io.to(task.room).emit('task', { type: 'updated', task });
+  const tokenized = docs.map(doc => tokenize(textOf(doc)));
+  const avgLength = tokenized.reduce((sum, tokens) => sum + tokens.length, 0) / docs.length || 1;
   
-  logger.info(`Task ${taskId} updated: status=${task.status}, assignee=${task.assignee}`);
+  const documentFrequency = new Map();
+  tokenized.forEach(tokens => {
+    new Set(tokens).forEach(token => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+  });
   
-  res.json({ success: true, task });
-});
+  return docs
+    .map((doc, i) => {
+      const tokens = tokenized[i];
+      const termFrequency = new Map();
+      tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+      
+      const score = terms.reduce((sum, term) => {
+        const tf = termFrequency.get(term);
+        if (!tf) return sum;
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+        return sum + idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * tokens.length / avgLength));
+      }, 0);
+      
+      return { doc, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
 
-// Agent memory endpoints
-app.post('/api/memory/:agentId', (req, res) => {
+app.get('/api/memory/:agentId/search', checkMemoryRead, (req, res) => {
   const { agentId } = req.params;
-  const { key, value, type = 'note', expiresIn } = req.body;
+  const { q, type } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 50);
   
-  const agent = agents.get(agentId);
-  if (!agent) {
-    return res.status(404).json({ success: false, error: 'Agent not found' });
+  if (!q || !String(q).trim()) {
+    return res.status(400).json({ success: false, error: 'q is required' });
   }
   
-  const memoryId = uuidv4();
-  const expiresAt = expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null;
-  
-  const memory = {
-    id: memoryId,
-    agentId,
-    room: agent.room,
-    key,
-    value,
-    type,
-    createdAt: new Date().toISOString(),
-    expiresAt
-  };
-  
-  // Store in database
-  db.run(
-    "INSERT INTO agent_memory (id, agent_id, room, key, value, type, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
-    [memoryId, agentId, agent.room, key, value, type, memory.createdAt, expiresAt]
-  );
+  let query = "SELECT * FROM agent_memory WHERE agent_id = ? AND (expires_at IS NULL OR expires_at > ?)";
+  const params = [agentId, new Date().toISOString()];
   
-  logger.info(`Memory stored for agent ${agent.name}: ${key}`);
+  if (type) {
+    query += " AND type = ?";
+    params.push(type);
+  }
   
-  res.json({ success: true, memoryId, memory });
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      logger.error('Failed to search agent memory:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    const results = rankByBm25(rows, q, row => `${row.key || ''} ${row.value || ''}`)
+      .slice(0, limit)
+      .map(({ doc, score }) => ({ ...rowToMemory(doc), score: Math.round(score * 1000) / 1000 }));
+    
+    res.json({ success: true, query: q, results });
+  });
 });
 
-app.get('/api/memory/:agentId', (req, res) => {
+app.get('/api/memory/:agentId', checkMemoryRead, (req, res) => {
   const { agentId } = req.params;
   const { key, type } = req.query;
   
-  let query = "SELECT * FROM agent_memory WHERE agent_id = ? AND (expires_at IS NULL OR expires_at > datetime('now'))";
-  const params = [agentId];
+  let query = "SELECT * FROM agent_memory WHERE agent_id = ? AND (expires_at IS NULL OR expires_at > ?)";
+  const params = [agentId, new Date().toISOString()];
   
   if (key) {
     query += " AND key = ?";
@@ -630,7 +3643,195 @@ app.get('/api/memory/:agentId', (req, res) => {
       return res.status(500).json({ success: false, error: 'Database error' });
     }
     
-    res.json({ success: true, memories: rows });
+    res.json({ success: true, memories: rows.map(rowToMemory) });
+  });
+});
+
+// Room memory: a knowledge base every agent in the room can read, with keys
+// grouped by namespace (e.g. conventions, decisions, glossary)
+const DEFAULT_ROOM_MEMORY_NAMESPACE = 'general';
+
+function rowToRoomMemory(row) {
+  return {
+    id: row.id,
+    room: row.room,
+    namespace: row.namespace,
+    key: row.key,
+    value: row.value,
+    version: row.version,
+    createdBy: row.created_by,
+    updatedBy: row.updated_by,
+    updatedByName: row.updated_by_name,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Same as memoryConflict, for a room entry
+function roomMemoryConflict(res, roomName, namespace, key, expectedVersion) {
+  db.get(
+    "SELECT version FROM room_memory WHERE room = ? AND namespace = ? AND key = ?",
+    [roomName, namespace, key],
+    (err, row) => {
+      if (err) {
+        logger.error('Failed to read room memory:', err);
+        return res.status(500).json({ success: false, error: 'Database error' });
+      }
+      
+      if (!row) {
+        return res.status(404).json({ success: false, error: `No room memory stored under '${namespace}/${key}'` });
+      }
+      
+      res.status(409).json({
+        success: false,
+        error: `Room memory '${namespace}/${key}' is at version ${row.version}, not ${expectedVersion}`,
+        currentVersion: row.version
+      });
+    }
+  );
+}
+
+function checkRoomMemoryAccess(req, res, next) {
+  if (!canAccessRoom(req, req.params.room)) {
+    return res.status(403).json({ success: false, error: 'Not a member of this room' });
+  }
+  next();
+}
+
+// Upsert by namespace and key, with the same expectedVersion rules as agent memory
+app.post('/api/rooms/:room/memory', checkRoomMemoryAccess, requirePermission('write_room_memory'), (req, res) => {
+  const { room: roomName } = req.params;
+  const { key, value, namespace = DEFAULT_ROOM_MEMORY_NAMESPACE, expectedVersion } = req.body;
+  
+  if (!rooms.has(roomName)) {
+    return res.status(404).json({ success: false, error: 'Room not found' });
+  }
+  
+  if (!key || value === undefined) {
+    return res.status(400).json({ success: false, error: 'key and value are required' });
+  }
+  
+  const versionError = validateExpectedVersion(expectedVersion);
+  if (versionError) {
+    return res.status(400).json({ success: false, error: versionError });
+  }
+  
+  const actor = actorOf(req);
+  const now = new Date().toISOString();
+  
+  const write = {
+    keys: { room: roomName, namespace, key },
+    created: { id: uuidv4(), created_by: actor.id, created_at: now },
+    fields: {
+      value: typeof value === 'string' ? value : JSON.stringify(value),
+      updated_by: actor.id,
+      updated_by_name: actor.name,
+      updated_at: now
+    }
+  };
+  
+  versionedWrite(db, 'room_memory', write, expectedVersion, (err, changes) => {
+    if (err && err.code === 'SQLITE_CONSTRAINT') {
+      return roomMemoryConflict(res, roomName, namespace, key, expectedVersion);
+    }
+    if (err) {
+      logger.error('Failed to store room memory:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    if (changes === 0) {
+      return roomMemoryConflict(res, roomName, namespace, key, expectedVersion);
+    }
+    
+    db.get(
+      "SELECT * FROM room_memory WHERE room = ? AND namespace = ? AND key = ?",
+      [roomName, namespace, key],
+      (err, row) => {
+        if (err) {
+          logger.error('Failed to read room memory:', err);
+          return res.status(500).json({ success: false, error: 'Database error' });
+        }
+        
+        // Deleted by another request between the write and this read
+        if (!row) {
+          return res.status(404).json({ success: false, error: `No room memory stored under '${namespace}/${key}'` });
+        }
+        
+        const entry = rowToRoomMemory(row);
+        io.to(roomName).emit('room_memory', { action: 'stored', entry });
+        logger.info(`Room memory ${namespace}/${key} stored in ${roomName} by ${actor.name}`);
+        
+        res.json({ success: true, entry });
+      }
+    );
+  });
+});
+
+app.get('/api/rooms/:room/memory', checkRoomMemoryAccess, (req, res) => {
+  const { room: roomName } = req.params;
+  const { namespace, key } = req.query;
+  
+  let query = "SELECT * FROM room_memory WHERE room = ?";
+  const params = [roomName];
+  
+  if (namespace) {
+    query += " AND namespace = ?";
+    params.push(namespace);
+  }
+  
+  if (key) {
+    query += " AND key = ?";
+    params.push(key);
+  }
+  
+  query += " ORDER BY namespace, key";
+  
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      logger.error('Failed to retrieve room memory:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    
+    res.json({ success: true, entries: rows.map(rowToRoomMemory) });
+  });
+});
+
+app.delete('/api/rooms/:room/memory/:namespace/:key', checkRoomMemoryAccess, requirePermission('write_room_memory'), (req, res) => {
+  const { room: roomName, namespace, key } = req.params;
+  const { expectedVersion } = req.query;
+  
+  // Query strings arrive as text
+  const version = expectedVersion === undefined ? undefined : Number(expectedVersion);
+  const versionError = validateExpectedVersion(version);
+  if (versionError) {
+    return res.status(400).json({ success: false, error: versionError });
+  }
+  
+  let sql = "DELETE FROM room_memory WHERE room = ? AND namespace = ? AND key = ?";
+  const params = [roomName, namespace, key];
+  
+  if (version !== undefined) {
+    sql += " AND version = ?";
+    params.push(version);
+  }
+  
+  db.run(sql, params, function(err) {
+    if (err) {
+      logger.error('Failed to delete room memory:', err);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+    if (this.changes === 0) {
+      return roomMemoryConflict(res, roomName, namespace, key, version);
+    }
+    
+    const actor = actorOf(req);
+    io.to(roomName).emit('room_memory', {
+      action: 'deleted',
+      entry: { room: roomName, namespace, key },
+      deletedBy: actor.name
+    });
+    logger.info(`Room memory ${namespace}/${key} deleted from ${roomName} by ${actor.name}`);
+    
+    res.json({ success: true, deleted: this.changes });
   });
 });
 
@@ -638,6 +3839,10 @@ app.get('/api/notifications/:agentId', (req, res) => {
   const { agentId } = req.params;
   const { unreadOnly = false } = req.query;
   
+  if (!isSelf(req, agentId)) {
+    return res.status(403).json({ success: false, error: "Cannot read another agent's notifications" });
+  }
+  
   let query = "SELECT * FROM notifications WHERE agent_id = ?";
   const params = [agentId];
   
@@ -660,7 +3865,13 @@ app.get('/api/notifications/:agentId', (req, res) => {
 app.post('/api/notifications/:notificationId/read', (req, res) => {
   const { notificationId } = req.params;
   
-  db.run("UPDATE notifications SET is_read = 1 WHERE id = ?", [notificationId], function(err) {
+  // Agents can only mark their own notifications
+  const query = req.auth.isAdmin
+    ? "UPDATE notifications SET is_read = 1 WHERE id = ?"
+    : "UPDATE notifications SET is_read = 1 WHERE id = ? AND agent_id = ?";
+  const params = req.auth.isAdmin ? [notificationId] : [notificationId, req.auth.agent.id];
+  
+  db.run(query, params, function(err) {
     if (err) {
       logger.error('Failed to mark notification as read:', err);
       return res.status(500).json({ success: false, error: 'Database error' });
@@ -674,22 +3885,58 @@ app.post('/api/notifications/:notificationId/read', (req, res) => {
 io.on('connection', (socket) => {
   console.log(`Client connected: ${socket.id}`);
   
-  socket.on('register', ({ agentId, room }) => {
+  socket.on('register', ({ agentId, token }) => {
+    if (verifyToken(token)?.agentId !== agentId) {
+      socket.emit('registration_failed', { agentId, error: 'Invalid token' });
+      return;
+    }
+    
     const agent = agents.get(agentId);
-    if (agent) {
-      agent.socketId = socket.id;
-      socket.join(room);
-      console.log(`Agent ${agent.name} registered with socket ${socket.id}`);
+    if (!agent) {
+      // Evicted or never joined: the client has to join again
+      socket.emit('registration_failed', { agentId, error: 'Agent not found' });
+      return;
     }
+    
+    const resumed = Boolean(agent.disconnectedAt);
+    agent.socketId = socket.id;
+    agent.disconnectedAt = null;
+    socket.join(agent.room);
+    touchAgent(agent);
+    
+    socket.emit('registered', { agentId, room: agent.room, resumed });
+    console.log(`Agent ${agent.name} ${resumed ? 'reconnected' : 'registered'} with socket ${socket.id}`);
   });
   
+  socket.on('heartbeat', () => {
+    const agent = findAgentBySocket(socket.id);
+    if (agent) touchAgent(agent);
+  });
+  
+  // Relay only from registered sockets, to their own room and under their own name
   socket.on('message', (data) => {
-    if (data.room) {
-      io.to(data.room).emit('message', data);
+    const agent = findAgentBySocket(socket.id);
+    if (!agent) return;
+    
+    if (!agentPermissions(agent).includes('send_messages')) {
+      socket.emit('permission_denied', {
+        event: 'message',
+        permission: 'send_messages',
+        error: permissionError(agent, 'send_messages')
+      });
+      return;
     }
+    
+    io.to(agent.room).emit('message', { ...data, agentId: agent.id, agentName: agent.name, room: agent.room });
   });
   
   socket.on('disconnect', () => {
+    const agent = findAgentBySocket(socket.id);
+    if (agent) {
+      agent.socketId = null;
+      agent.disconnectedAt = new Date().toISOString();
+      logger.info(`Agent ${agent.name} (${agent.id}) disconnected, evicting in ${AGENT_EVICTION_TIMEOUT / 1000}s unless it reconnects`);
+    }
     console.log(`Client disconnected: ${socket.id}`);
   });
 });
@@ -700,6 +3947,8 @@ const PORT = process.env.PORT || 3000;
 async function startServer() {
   await initializeSystem();
   
+  setInterval(sweepInactiveAgents, Math.min(AGENT_GRACE_PERIOD / 2, 15000));
+  
   httpServer.listen(PORT, () => {
     logger.info(`Claude Gateway Hub started on port ${PORT}`);
     console.log(`🚀 Claude Gateway Hub running on http://localhost:${PORT}`);
@@ -708,17 +3957,49 @@ async function startServer() {
     console.log(`\nCore Endpoints:`);
     console.log(`  POST   /api/join/:room         - Join a room`);
     console.log(`  POST   /api/leave/:agentId     - Leave current room`);
+    console.log(`  POST   /api/token              - Refresh your token`);
     console.log(`  POST   /api/send               - Send a message`);
+    console.log(`  POST   /api/dm                 - Send a direct message`);
     console.log(`  GET    /api/messages/:room     - Get room messages`);
+    console.log(`  GET    /api/messages/:room/search - Search room messages`);
+    console.log(`  GET    /api/messages/:room/unread - Messages since your read cursor`);
+    console.log(`  POST   /api/messages/:room/read - Advance your read cursor`);
+    console.log(`  GET    /api/messages/:room/receipts - Read cursors of the room's agents`);
+    console.log(`  GET    /api/messages/:room/thread/:id - Get a message thread`);
+    console.log(`  PUT    /api/messages/:room/:id - Edit a message`);
+    console.log(`  DELETE /api/messages/:room/:id - Delete a message`);
+    console.log(`  POST   /api/messages/:room/:id/redact - Redact a message`);
+    console.log(`  GET    /api/messages/:room/:id/revisions - Message audit trail`);
+    console.log(`  POST   /api/messages/:room/:id/reactions - React to / acknowledge a message`);
+    console.log(`  GET    /api/messages/:room/:id/reactions - Get message reactions`);
     console.log(`  GET    /api/rooms              - List all rooms`);
+    console.log(`  GET    /api/rooms/:room/settings - Get room roles & permissions`);
+    console.log(`  PUT    /api/rooms/:room/settings - Update room roles & permissions`);
     console.log(`  GET    /api/agents/:room       - Get room agents`);
+    console.log(`  PUT    /api/agents/:id/status  - Update agent status`);
     console.log(`\nTask Management:`);
-    console.log(`  POST   /api/tasks              - Create a task`);
-    console.log(`  GET    /api/tasks/:room        - Get room tasks`);
-    console.log(`  POST   /api/tasks/:id/update   - Update task status`);
+    console.log(`  POST   /api/tasks/:room        - Create a task`);
+    console.log(`  GET    /api/tasks/:room        - Get room tasks (filter & sort)`);
+    console.log(`  GET    /api/tasks/:room/:id    - Get a task`);
+    console.log(`  PUT    /api/tasks/:id          - Update a task`);
+    console.log(`  DELETE /api/tasks/:id          - Delete a task`);
+    console.log(`  GET    /api/tasks/:id/events   - Task timeline`);
+    console.log(`  POST   /api/tasks/:id/comments - Comment on a task`);
+    console.log(`  GET    /api/tasks/:id/comments - Get task comments`);
+    console.log(`\nWorkflows:`);
+    console.log(`  POST   /api/workflows/:room    - Start a workflow (JSON or YAML definition)`);
+    console.log(`  GET    /api/workflows/:room    - List room workflows`);
+    console.log(`  GET    /api/workflows/:room/:id - Workflow state`);
+    console.log(`  POST   /api/workflows/:room/:id/cancel - Cancel a workflow`);
     console.log(`\nAgent Memory & Notifications:`);
-    console.log(`  POST   /api/memory/:agentId    - Store agent memory`);
+    console.log(`  POST   /api/memory/:agentId    - Store agent memory (upsert by key)`);
     console.log(`  GET    /api/memory/:agentId    - Retrieve agent memory`);
+    console.log(`  GET    /api/memory/:agentId/search - Similarity search over memory values`);
+    console.log(`  PUT    /api/memory/:agentId/:key - Update a memory entry`);
+    console.log(`  DELETE /api/memory/:agentId/:key - Delete a memory entry (or ?type= on /api/memory/:agentId)`);
+    console.log(`  POST   /api/rooms/:room/memory - Store shared room memory (upsert by namespace & key)`);
+    console.log(`  GET    /api/rooms/:room/memory - Read shared room memory`);
+    console.log(`  DELETE /api/rooms/:room/memory/:ns/:key - Delete a room memory entry`);
     console.log(`  GET    /api/notifications/:id  - Get notifications`);
     console.log(`  POST   /api/notifications/:id/read - Mark as read`);
     console.log(`\nOrchestration:`);
@@ -731,8 +4012,18 @@ async function startServer() {
     console.log(`  📝 Agent memory management`);
     console.log(`\nWebSocket Events:`);
     console.log(`  - message: Chat messages & file changes`);
+    console.log(`  - message_updated / message_deleted: Edits, redactions & deletions`);
+    console.log(`  - reaction: Reactions & acknowledgements`);
+    console.log(`  - read: Read receipts`);
     console.log(`  - task: Task updates`);
+    console.log(`  - task_assigned: Task assignments (to the assignee)`);
+    console.log(`  - workflow: Workflow and stage progress`);
     console.log(`  - notification: Mentions & alerts`);
+    console.log(`  - presence: Agent status changes`);
+    console.log(`  - heartbeat: Agent liveness (client → hub)`);
+    console.log(`  - room_settings: Role & permission changes`);
+    console.log(`  - room_memory: Shared room memory changes`);
+    console.log(`  - permission_denied: Rejected socket events`);
     console.log(`\n🤖 Ready for MCP agent connections!`);
   });
 }
@@ -2,6 +2,8 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import sqlite3 from 'sqlite3';
+import { versionedWrite } from './versioned-store.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -92,6 +94,40 @@ async function runTests() {
     }
   });
   
+  // Test conditional memory writes against an in-memory database
+  await asyncTest('Versioned writes honour expectedVersion', async () => {
+    const db = new sqlite3.Database(':memory:');
+    const run = (sql) => new Promise((resolve, reject) => db.run(sql, err => err ? reject(err) : resolve()));
+    const get = (sql) => new Promise((resolve, reject) => db.get(sql, (err, row) => err ? reject(err) : resolve(row)));
+    const write = (value, expectedVersion) => new Promise(resolve => {
+      versionedWrite(db, 'memory', { keys: { key: 'plan' }, fields: { value } }, expectedVersion, (err, changes) => resolve({ err, changes }));
+    });
+    
+    await run("CREATE TABLE memory (key TEXT PRIMARY KEY, value TEXT, version INTEGER)");
+    
+    const missing = await write('a', 5);
+    if (missing.err || missing.changes !== 0 || await get("SELECT * FROM memory")) {
+      throw new Error('expectedVersion > 0 created a missing entry');
+    }
+    if ((await write('a', 0)).changes !== 1) {
+      throw new Error('expectedVersion 0 did not insert a new entry');
+    }
+    if ((await write('b', 0)).err?.code !== 'SQLITE_CONSTRAINT') {
+      throw new Error('expectedVersion 0 overwrote an existing entry');
+    }
+    if ((await write('b')).changes !== 1 || (await get("SELECT version FROM memory")).version !== 2) {
+      throw new Error('Unconditional write did not bump the version');
+    }
+    if ((await write('c', 1)).changes !== 0) {
+      throw new Error('Stale expectedVersion overwrote the entry');
+    }
+    if ((await write('c', 2)).changes !== 1 || (await get("SELECT value FROM memory")).value !== 'c') {
+      throw new Error('Matching expectedVersion did not update the entry');
+    }
+    
+    db.close();
+  });
+  
   // Test README content
   await asyncTest('README has required sections', async () => {
     const readme = await fs.readFile(path.join(__dirname, 'README.md'), 'utf-8');
@@ -0,0 +1,45 @@
+// Versioned key/value writes shared by agent memory and room memory.
+//
+// An entry is identified by its key columns and carries a version that
+// every write bumps. expectedVersion makes the write conditional:
+//   undefined - insert the entry or overwrite it, whatever its version
+//   0         - only insert; an existing entry fails the unique constraint
+//   n > 0     - only update the entry if it is still at version n
+// The callback gets (err, changes); changes === 0 means the condition
+// failed, either because the entry is missing or it has moved on.
+
+export function validateExpectedVersion(expectedVersion) {
+  if (expectedVersion === undefined || (Number.isInteger(expectedVersion) && expectedVersion >= 0)) return null;
+  return 'expectedVersion must be an integer >= 0';
+}
+
+// keys:    columns identifying the entry, e.g. { agent_id, key }
+// created: columns only written when the entry is first inserted
+// fields:  columns written on every insert and update
+export function versionedWrite(db, table, { keys, created = {}, fields }, expectedVersion, callback) {
+  const done = function(err) {
+    callback(err, err ? 0 : this.changes);
+  };
+
+  if (expectedVersion > 0) {
+    const sets = Object.keys(fields).map(column => `${column} = ?`);
+    const where = Object.keys(keys).map(column => `${column} = ?`);
+    db.run(
+      `UPDATE ${table} SET ${sets.join(', ')}, version = version + 1 WHERE ${where.join(' AND ')} AND version = ?`,
+      [...Object.values(fields), ...Object.values(keys), expectedVersion],
+      done
+    );
+    return;
+  }
+
+  const columns = { ...keys, ...created, ...fields };
+  let sql = `INSERT INTO ${table} (${Object.keys(columns).join(', ')}, version)
+    VALUES (${Object.keys(columns).map(() => '?').join(', ')}, 1)`;
+
+  if (expectedVersion === undefined) {
+    const sets = Object.keys(fields).map(column => `${column} = excluded.${column}`);
+    sql += ` ON CONFLICT (${Object.keys(keys).join(', ')}) DO UPDATE SET ${sets.join(', ')}, version = version + 1`;
+  }
+
+  db.run(sql, Object.values(columns), done);
+}